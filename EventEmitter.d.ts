@@ -0,0 +1,450 @@
+/*
+ * EventEmitter, node & browser compatible implementation
+ * TypeScript declarations, listeners and emitted arguments are checked against an event map
+ *
+ * @usage
+ * Declare event types and their arguments tuple
+
+interface ButtonEvents {
+  click: [x: number, y: number];
+  close: [];
+}
+
+ * Then extend or instantiate a typed emitter
+
+class Button extends EventEmitter<ButtonEvents> {}
+
+const button = new EventEmitter<ButtonEvents>();
+button.on('click', (x, y) => {});  // x and y are numbers
+button.emit('click', 1, 2);        // 'click' requires two numbers
+
+ * Minimum lib is es5 and dom (EventTarget, AbortSignal, Storage), newer ES declarations used are referenced below
+ * Checked by tests/test-event-emitter-types.ts (npm run test-types)
+
+ */
+
+/// <reference lib="es2018.asynciterable" />
+
+export = EventEmitter;
+export as namespace EventEmitter;
+
+declare global {
+    // Explicit resource management, for using declarations (TypeScript 5.2+, lib esnext.disposable)
+    // Declared here so Subscription types compile with older libs, Symbol.dispose is undefined at runtime there
+    interface SymbolConstructor {
+        readonly dispose: unique symbol;
+    }
+}
+
+declare class EventEmitter<Events extends EventEmitter.EventMap<Events> = EventEmitter.DefaultEvents> {
+    constructor(options?: EventEmitter.Options);
+
+    /*** Backwards-compat with node 0.10.x ***/
+
+    static EventEmitter: typeof EventEmitter;
+
+    /*** Default EventEmitter properties ***/
+
+    static usingDomains: boolean;
+    static defaultMaxListeners: number;
+    static defaultNamespaces: boolean;
+    static defaultParallel: boolean;
+    static defaultValidation: EventEmitter.ValidationMode;
+    static defaultTracing: boolean | EventEmitter.Timeline;
+    static captureRejections: boolean;
+    static readonly captureRejectionSymbol: unique symbol;
+
+    // Handle max listeners warnings, instead of 'warning' event, process.emitWarning or console
+    static onWarning: ((warning: EventEmitter.MaxListenersExceededWarning) => void) | null;
+
+    // Timeline recording activity of traced emitters
+    static timeline: EventEmitter.Timeline;
+
+    /*** Static helpers ***/
+
+    /*
+     * Init emitter properties, call it from your constructor (or use EventEmitter.call(this))
+     */
+    static init(this: EventEmitter<any>, options?: EventEmitter.Options): void;
+
+    /*
+     * Count listeners of an event type in given emitter
+     */
+    static listenerCount<Events extends EventEmitter.EventMap<Events>>(emitter: EventEmitter<Events>, event: keyof Events): number;
+
+    /*
+     * Wait for next emission of an event type in given emitter, resolve with emitted arguments
+     */
+    static once<Events extends EventEmitter.EventMap<Events>, E extends keyof Events>(
+        emitter: EventEmitter<Events>, event: E, options?: EventEmitter.AbortOptions
+    ): Promise<Events[E]>;
+
+    /*
+     * Iterate over emissions of an event type in given emitter, yield emitted arguments
+     */
+    static on<Events extends EventEmitter.EventMap<Events>, E extends keyof Events>(
+        emitter: EventEmitter<Events>, event: E, options?: EventEmitter.AbortOptions
+    ): AsyncIterableIterator<Events[E]>;
+
+    /*
+     * Connect emitter to a remote emitter over a postMessage port
+     */
+    static connect(emitter: EventEmitter<any>, port: EventEmitter.Port, options?: EventEmitter.RemoteOptions): EventEmitter.RemoteConnection;
+
+    /*
+     * Mirror DOM EventTarget events into an EventEmitter
+     */
+    static fromEventTarget(target: EventTarget, options?: EventEmitter.TargetOptions): EventEmitter.TargetEmitter;
+
+    /*
+     * Expose an EventEmitter through DOM EventTarget interface
+     */
+    static toEventTarget(emitter: EventEmitter<any>): EventEmitter.EmitterTarget;
+
+    /*
+     * Restore previous global EventEmitter and return this one
+     * Only available in global (browser) build, neither with AMD nor CommonJs
+     */
+    static noConflict(): typeof EventEmitter;
+
+    /*** EventEmitter properties ***/
+
+    domain: EventEmitter.Domain | null;
+
+    /*** EventEmitter methods ***/
+
+    addListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): this;
+    addListener(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): this;
+    addListener(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): this;
+    addListener(event: EventEmitter.Namespaced<Events>, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+
+    subscribe<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): EventEmitter.Subscription<this>;
+    subscribe(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): EventEmitter.Subscription<this>;
+    subscribe(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): EventEmitter.Subscription<this>;
+
+    addWeakListener<E extends keyof Events, Owner extends object>(event: E, listener: EventEmitter.Listener<Owner, Events[E]>, owner: Owner): this;
+    addWeakListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>): this;
+    removeWeakListener<E extends keyof Events, Owner extends object>(event: E, listener: EventEmitter.Listener<Owner, Events[E]>, owner: Owner): this;
+    removeWeakListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>): this;
+
+    on<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): this;
+    on(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): this;
+    on(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): this;
+    on(event: EventEmitter.Namespaced<Events>, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+
+    prependListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): this;
+    prependListener(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): this;
+    prependListener(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): this;
+    prependListener(event: EventEmitter.Namespaced<Events>, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+
+    once<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): this;
+    once(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): this;
+    once(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): this;
+    once(event: EventEmitter.Namespaced<Events>, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+
+    prependOnceListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>, options?: EventEmitter.ListenerOptions): this;
+    prependOnceListener(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>, options?: EventEmitter.ListenerOptions): this;
+    prependOnceListener(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>, options?: EventEmitter.ListenerOptions): this;
+    prependOnceListener(event: EventEmitter.Namespaced<Events>, listener: EventEmitter.Listener<this, any[]>, options?: EventEmitter.ListenerOptions): this;
+
+    removeListener<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>): this;
+    removeListener(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>): this;
+    removeListener(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>): this;
+    removeListener(event: EventEmitter.Namespaced<Events>, listener?: EventEmitter.Listener<this, any[]>): this;
+
+    off<E extends keyof Events>(event: E, listener: EventEmitter.Listener<this, Events[E]>): this;
+    off(event: EventEmitter.Pattern, listener: EventEmitter.WildcardListener<this>): this;
+    off(event: EventEmitter.InternalEvent, listener: EventEmitter.InternalListener<this, Events>): this;
+    off(event: EventEmitter.Namespaced<Events>, listener?: EventEmitter.Listener<this, any[]>): this;
+
+    removeAllListeners(event?: keyof Events | EventEmitter.Pattern | EventEmitter.InternalEvent | EventEmitter.Namespaced<Events>): this;
+
+    setMaxListeners(n: number, event?: keyof Events | EventEmitter.Pattern): this;
+    getMaxListeners(event?: keyof Events | EventEmitter.Pattern): number;
+    setNamespaces(enabled: boolean): this;
+    setParallel(enabled: boolean): this;
+
+    use(middleware: EventEmitter.Middleware<this>): this;
+    use(event: keyof Events | EventEmitter.Pattern | EventEmitter.InternalEvent, middleware: EventEmitter.Middleware<this>): this;
+    unuse(middleware: EventEmitter.Middleware<this>): this;
+    unuse(event: keyof Events | EventEmitter.Pattern | EventEmitter.InternalEvent, middleware: EventEmitter.Middleware<this>): this;
+
+    setSticky(event: keyof Events, n?: number): this;
+    latch(event: keyof Events): this;
+    clearSticky(event?: keyof Events): this;
+
+    setParent(parent: EventEmitter<any> | null): this;
+    getParent(): EventEmitter<any> | null;
+
+    setSchema<E extends keyof Events>(event: E, schema: EventEmitter.Schema<this, Events[E]> | null): this;
+    setValidation(mode: EventEmitter.ValidationMode): this;
+    setTracing(enabled: boolean | EventEmitter.Timeline): this;
+
+    rawListeners<E extends keyof Events>(event: E): Array<EventEmitter.Listener<this, Events[E]>>;
+    rawListeners(event: EventEmitter.Pattern | EventEmitter.InternalEvent | EventEmitter.Namespaced<Events>): Function[];
+    listeners<E extends keyof Events>(event: E): Array<EventEmitter.Listener<this, Events[E]>>;
+    listeners(event: EventEmitter.Pattern | EventEmitter.InternalEvent | EventEmitter.Namespaced<Events>): Function[];
+    listenerCount(event: keyof Events | EventEmitter.Pattern | EventEmitter.InternalEvent | EventEmitter.Namespaced<Events>): number;
+    eventNames(): Array<keyof Events | EventEmitter.Pattern | EventEmitter.InternalEvent>;
+
+    emit<E extends keyof Events>(event: E, ...args: Events[E]): boolean;
+    emit(event: EventEmitter.InternalEvent, type: keyof Events | EventEmitter.Pattern, listener: Function): boolean;
+    emitCancelable<E extends keyof Events>(event: E, detail?: any): boolean;
+    emitAsync<E extends keyof Events>(event: E, ...args: Events[E]): Promise<boolean>;
+}
+
+declare namespace EventEmitter {
+    /*** Event map ***/
+
+    // Event type
+    type EventName = string | symbol;
+
+    // Event types map to their listeners arguments tuple
+    type EventMap<Events> = { [E in keyof Events]: any[] };
+
+    // Untyped event map, used when none given
+    interface DefaultEvents {
+        [event: string]: any[];
+        [event: symbol]: any[];
+    }
+
+    // Wildcard pattern ('user.*', '**') or RegExp
+    type Pattern = `${string}*${string}` | RegExp;
+
+    // Namespaced event type ('resize.myPlugin' or '.myPlugin'), when namespaces are enabled
+    type Namespaced<Events> = `${Extract<keyof Events, string> | ''}.${string}`;
+
+    // Events emitted by emitter itself when listeners are added or removed
+    type InternalEvent = 'newListener' | 'removeListener';
+
+    /*** Listeners ***/
+
+    type Listener<Emitter, Args extends any[]> = (this: Emitter, ...args: Args) => any;
+
+    // Wildcard listeners get event type as first argument
+    type WildcardListener<Emitter> = (this: Emitter, event: string, ...args: any[]) => any;
+
+    type InternalListener<Emitter, Events> = (this: Emitter, event: keyof Events | Pattern, listener: Function) => any;
+
+    // Next returns emit result, or emitAsync promise
+    type Middleware<Emitter> = (this: Emitter, event: EventName, args: any[], next: (event?: EventName, args?: any[]) => boolean | Promise<boolean>) => void;
+
+    /*** Schemas ***/
+
+    // JSON-Schema-like descriptor
+    interface Descriptor {
+        type?: DescriptorType | DescriptorType[];
+        enum?: any[];
+        minimum?: number;
+        maximum?: number;
+        minLength?: number;
+        maxLength?: number;
+        pattern?: string | RegExp;
+        items?: Descriptor;
+        properties?: { [property: string]: Descriptor };
+        required?: string[];
+        additionalProperties?: boolean;
+    }
+
+    type DescriptorType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'function' | 'symbol'
+        | 'bigint' | 'null' | 'undefined' | 'any';
+
+    // Validator returns false or an error message when invalid, anything else (true, nothing) when valid
+    type Schema<Emitter, Args extends any[]> = ((this: Emitter, ...args: Args) => boolean | string | void) | Descriptor | Descriptor[];
+
+    type ValidationMode = 'throw' | 'emit' | false;
+
+    /*** Options ***/
+
+    interface Options {
+        captureRejections?: boolean;
+        emitNewListener?: boolean;
+        emitRemoveListener?: boolean;
+        strictErrors?: boolean;
+        maxListeners?: number;
+        namespaces?: boolean;
+        parallel?: boolean;
+        parent?: EventEmitter<any> | null;
+        validation?: ValidationMode;
+        tracing?: boolean | Timeline;
+    }
+
+    interface ListenerOptions {
+        priority?: number;
+        // True to hold listener weakly, or owner to hold weakly, listener is then applied on owner
+        weak?: boolean | object;
+    }
+
+    interface AbortOptions {
+        signal?: AbortSignal;
+    }
+
+    interface TargetOptions extends Options {
+        detail?: boolean;
+    }
+
+    // Object with postMessage method (Worker, MessagePort, window...)
+    interface Port {
+        postMessage(message: any, targetOrigin?: any): void;
+    }
+
+    interface RemoteOptions {
+        forward?: EventName[] | ((event: EventName) => boolean);
+        accept?: EventName[] | ((event: EventName) => boolean);
+        validate?: boolean;
+        receiver?: object;
+        targetOrigin?: string;
+        origin?: string;
+    }
+
+    interface BroadcastOptions extends Options {
+        local?: boolean;
+        events?: EventName[] | ((event: EventName) => boolean);
+        leaderEvents?: EventName[];
+        heartbeat?: number;
+        storage?: Storage;
+        window?: Window;
+    }
+
+    interface ValidationError extends Error {
+        name: 'ValidationError';
+        code: 'ERR_INVALID_EVENT_PAYLOAD';
+        event: EventName;
+        args: any[];
+    }
+
+    interface MaxListenersExceededWarning extends Error {
+        name: 'MaxListenersExceededWarning';
+        emitter: EventEmitter<any>;
+        type: EventName | RegExp;
+        count: number;
+    }
+
+    /*** Tracing ***/
+
+    interface TraceRecord {
+        seq: number;
+        type: 'emit' | 'addListener' | 'removeListener' | 'removeAllListeners';
+        time: number;
+        emitter: string;
+        event: string | undefined;
+        listeners: number;
+        listener?: string;
+        args?: string[];
+        emitted?: boolean;
+        duration?: number;
+        error?: string;
+    }
+
+    interface TraceFilter {
+        type?: TraceRecord['type'];
+        emitter?: string | EventEmitter<any>;
+        event?: string;
+        since?: number;
+        until?: number;
+    }
+
+    // Ring buffer of emitters activity records
+    class Timeline {
+        constructor(capacity?: number);
+        readonly capacity: number;
+        record(entry: object): TraceRecord;
+        query(filter?: TraceFilter | ((entry: TraceRecord) => boolean)): TraceRecord[];
+        clear(): this;
+        toJSON(): TraceRecord[];
+        dump(space?: number | string): string;
+    }
+
+    /*** Subscriptions ***/
+
+    // Handle removing a listener, returned by subscribe
+    class Subscription<Emitter = EventEmitter<any>> {
+        constructor(emitter: Emitter, event: EventName | RegExp, listener: Function, stored?: Function);
+        readonly emitter: Emitter;
+        readonly event: EventName | RegExp;
+        readonly listener: Function;
+        readonly closed: boolean;
+        unsubscribe(): this;
+        [Symbol.dispose](): void;
+    }
+
+    // Collect subscriptions (or teardown functions) to unsubscribe them all at once
+    class CompositeSubscription {
+        constructor(handles?: Array<Unsubscribable | (() => void)>);
+        readonly closed: boolean;
+        add(handle: Unsubscribable | (() => void)): this;
+        remove(handle: Unsubscribable | (() => void)): this;
+        unsubscribe(): this;
+        [Symbol.dispose](): void;
+    }
+
+    interface Unsubscribable {
+        unsubscribe(): any;
+    }
+
+    /*** Subclasses and adapters ***/
+
+    // Cancelable event object passed to listeners by emitCancelable
+    class EmitterEvent<Detail = any> {
+        constructor(type: EventName, target: EventEmitter<any>, detail?: Detail);
+        readonly type: EventName;
+        readonly target: EventEmitter<any>;
+        currentTarget: EventEmitter<any> | null;
+        readonly timeStamp: number;
+        readonly detail: Detail;
+        defaultPrevented: boolean;
+        preventDefault(): void;
+        stopPropagation(): void;
+        stopImmediatePropagation(): void;
+    }
+
+    // Minimal Domain implementation, group errors of emitters and callbacks
+    class Domain extends EventEmitter<{ error: [error: any] }> {
+        static active: Domain | null;
+        static create(): Domain;
+        members: Array<EventEmitter<any>>;
+        enter(): this;
+        exit(): this;
+        run<Result>(fn: (...args: any[]) => Result, ...args: any[]): Result;
+        add(emitter: EventEmitter<any>): this;
+        remove(emitter: EventEmitter<any>): this;
+        bind<Callback extends Function>(callback: Callback): Callback;
+        intercept(callback: Function): Function;
+    }
+
+    // Mirror DOM EventTarget events into an EventEmitter
+    class TargetEmitter<Events extends EventMap<Events> = DefaultEvents> extends EventEmitter<Events> {
+        constructor(target: EventTarget, options?: TargetOptions);
+        target: EventTarget;
+    }
+
+    // Expose an EventEmitter through DOM EventTarget interface
+    class EmitterTarget implements EventTarget {
+        constructor(emitter: EventEmitter<any>);
+        emitter: EventEmitter<any>;
+        addEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | AddEventListenerOptions): void;
+        removeEventListener(type: string, listener: EventListenerOrEventListenerObject | null, options?: boolean | EventListenerOptions): void;
+        dispatchEvent(event: Event): boolean;
+    }
+
+    // Forward events of an emitter over a postMessage port
+    class RemoteConnection extends EventEmitter<{ disconnect: []; error: [error: any] }> {
+        constructor(emitter: EventEmitter<any>, port: Port, options?: RemoteOptions);
+        emitter: EventEmitter<any>;
+        port: Port;
+        connected: boolean;
+        send(event: EventName, args?: any[]): this;
+        disconnect(): this;
+    }
+
+    // Emit events in every same-origin tab, with leader election
+    class BroadcastEmitter<Events extends EventMap<Events> = DefaultEvents> extends EventEmitter<Events> {
+        constructor(name: string, options?: BroadcastOptions);
+        readonly name: string;
+        readonly id: string;
+        sender: string | null;
+        leader: string | null;
+        isLeader(): boolean;
+        close(): this;
+    }
+}
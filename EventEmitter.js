@@ -1,6 +1,6 @@
 /*
  * EventEmitter, node & browser compatible implementation
- * Does not support Domain yet
+ * Includes a minimal Domain implementation (EventEmitter.Domain)
  *
  * @usage
  * Init EventEmitter in your constructor
@@ -45,284 +45,3417 @@ MyObject.prototype.myMethod = ...;
 
     'use strict';
 
-    /*** EventEmitter constructor ***/
+    /*** Private helpers ***/
 
     /*
-     * EventEmitter
+     * Check if given event type is a wildcard pattern
      *
-     * @constructor
+     * @param mixed event Event type
      *
-     * @todo Allow configuration (emit newListener / removeListener)
+     * @return {Boolean} Is event a RegExp or a string containing '*'
      */
-    function EventEmitter () {
-        EventEmitter.init.call(this);
+    function isPattern (event) {
+        return event instanceof RegExp || (typeof event === 'string' && event.indexOf('*') !== -1);
     }
 
-    /*** Init in separate function allow patching and easyer debugging ***/
-
-    EventEmitter.init = function () {
-        this.domain        = null;
-        this._events       = this._events || {};
-        this._maxListeners = this._maxListeners || undefined; // @todo Get rid of maxListeners feature?
+    /*
+     * Compile wildcard pattern to RegExp
+     * '*' matches one dot delimited segment, '**' matches any number of segments
+     *
+     * @param {String|RegExp} pattern Wildcard pattern
+     *
+     * @return {RegExp} Pattern matcher
+     */
+    function compile (pattern) {
+        if (pattern instanceof RegExp) {
+            return pattern;
+        }
+        return new RegExp('^' + pattern
+            .replace(/[\-\[\]\/{}()+?.\\^$|]/g, '\\$&')
+            .replace(/\*\*|\*/g, function (wildcard) {
+                return wildcard === '**' ? '.*' : '[^.]+';
+            }) + '$');
     }
 
-    /*** Backwards-compat with node 0.10.x ***/
+    /*
+     * Minimal Map implementation for legacy browsers
+     *
+     * @constructor
+     */
+    function Registry () {
+        this._keys   = [];
+        this._values = [];
+        this.size    = 0;
+    }
 
-    EventEmitter.EventEmitter                 = EventEmitter;
+    Registry.prototype.indexOf = function (key) {
+        for (var index = this._keys.length; index--;) {
+            if (this._keys[index] === key) {
+                break;
+            }
+        }
+        return index;
+    };
 
-    /*** Default EventEmitter properties ***/
+    Registry.prototype.get     = function (key) {
+        var index = this.indexOf(key);
+        return ~index ? this._values[index] : undefined;
+    };
 
-    EventEmitter.usingDomains                 = false;
-    EventEmitter.defaultMaxListeners          = 10;           // @todo Get rid of maxListeners feature?
+    Registry.prototype.has     = function (key) {
+        return !!~this.indexOf(key);
+    };
 
-    /*** Declare EventEmitter prototype properties ***/
+    Registry.prototype.set     = function (key, value) {
+        var index = this.indexOf(key);
+        if (~index) {
+            this._values[index] = value;
+        } else {
+            this._keys.push(key);
+            this._values.push(value);
+            this.size = this._keys.length;
+        }
+        return this;
+    };
 
-    EventEmitter.prototype.domain             = undefined;
-    EventEmitter.prototype._events            = undefined;
-    EventEmitter.prototype._maxListeners      = undefined;    // @todo Get rid of maxListeners feature?
+    Registry.prototype.delete  = function (key) {
+        var index = this.indexOf(key);
+        if (~index) {
+            this._keys.splice(index, 1);
+            this._values.splice(index, 1);
+            this.size = this._keys.length;
+        }
+        return !!~index;
+    };
 
-    /*** Define EventEmitter prototype methods ***/
+    Registry.prototype.forEach = function (callback, context) {
+        for (var keys = this._keys.slice(), index = 0; index < keys.length; index++) {
+            if (this.has(keys[index])) {
+                callback.call(context, this.get(keys[index]), keys[index], this);
+            }
+        }
+    };
 
     /*
-     * Add listener for given event type that will be fired every time
-     *
-     * @param {String}   event    Event type
-     * @param {Function} listener Listener function
+     * Create listeners storage, a Map allowing any event type (Symbol, object, '__proto__'...)
      *
-     * @throw {TypeError} if listener is not a function.
+     * @return {Map} Storage
+     */
+    function createMap () {
+        return typeof Map === 'function' ? new Map() : new Registry();
+    }
+
+    /*
+     * Get listeners of given event type from storage
+     * Wildcard patterns are stored apart, RegExp patterns are keyed by their string representation
      *
-     * @return {EventEmitter} Fluent interface
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     * @param {Boolean}      create  Optional, create listeners array if missing
      *
-     * @todo Get rid of this maxListeners warning?
+     * @return {Array} Listeners array, undefined if missing
      */
-    EventEmitter.prototype.addListener        = function (event, listener) {
-        if (typeof listener !== 'function') {
-            throw TypeError('listener must be a function');
-        }
-        this.emit('newListener', event, typeof listener.listener === 'function' ? listener.listener : listener);
-        var listeners = this._events[event] || (this._events[event] = [])
-            , max     = this._maxListeners !== undefined ? this._maxListeners : EventEmitter.defaultMaxListeners
-            , count   = listeners.push(listener)
+    function lookup (emitter, event, create) {
+        var events      = isPattern(event) ? emitter._wildcards : emitter._events
+            , key       = event instanceof RegExp ? String(event) : event
+            , listeners = events.get(key)
         ;
-        if (max > 0 && !listeners.warned && count > max) {
-            listeners.warned = true;
-            console.error('warning: possible EventEmitter memory leak detected. %d "%s" listeners added.'
-                + 'Use emitter.setMaxListeners() to increase limit.', count, event);
-            console.trace();
+        if (!listeners && create) {
+            events.set(key, listeners = []);
+            if (events === emitter._wildcards) {
+                listeners.event   = event;
+                listeners.pattern = compile(event);
+            }
         }
-        return this;
-    };
+        return listeners;
+    }
 
     /*
-     * Add listener for given event type that will be fired only once
+     * Delete listeners array of given event type from storage
      *
-     * @param {String}   event    Event type
-     * @param {Function} listener Listener function
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     */
+    function forget (emitter, event) {
+        if (isPattern(event)) {
+            emitter._wildcards.delete(event instanceof RegExp ? String(event) : event);
+        } else {
+            emitter._events.delete(event);
+        }
+    }
+
+    /*
+     * Collect wildcard listeners matching given event type, sorted by priority, then by pattern
      *
-     * @throw {TypeError} If listener is not a function.
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
      *
-     * @return {EventEmitter} Fluent interface
+     * @return {Array} Matching listeners functions
      */
-    EventEmitter.prototype.once               = function (event, listener) {
-        if (typeof listener !== 'function') {
-            throw TypeError('listener must be a function');
+    function wildcards (emitter, event) {
+        var matched = [];
+        if (typeof event !== 'string') {
+            return matched;
         }
-        var fired  = false
-            , once = function () {
-                this.removeListener(event, once);
-                if (!fired) {
-                    fired = true;
-                    listener.apply(this, arguments);
-                }
+        emitter._wildcards.forEach(function (listeners) {
+            listeners.pattern.lastIndex = 0; // Reset stateful global RegExp
+            if (listeners.length && listeners.pattern.test(event)) {
+                matched = ordered(matched, listeners).map(function (queued) {
+                    return queued.listener;
+                });
             }
-        ;
-        once.listener = listener;
-        this.on(event, once);
-        return this;
-    };
+        });
+        return matched;
+    }
 
     /*
-     * Remove specific listener for given event type
+     * Wrap listener, so metadata can be attached without altering the original function
+     * Wrappers expose original function as listener property, like once wrappers do
      *
-     * @param {String}   event    Event type
      * @param {Function} listener Listener function
      *
-     * @throw {TypeError} If listener is not a function.
+     * @return {Function} Listener wrapper
+     */
+    function decorate (listener) {
+        if (typeof listener.listener === 'function') {
+            return listener;
+        }
+        var wrapper = function () {
+            return listener.apply(this, arguments);
+        };
+        wrapper.listener = listener;
+        return wrapper;
+    }
+
+    /*
+     * Get original function of stored listener
      *
-     * @return {EventEmitter} Fluent interface
+     * @param {Function} listener Stored listener function or wrapper
+     *
+     * @return {Function} Original listener function
      */
-    EventEmitter.prototype.removeListener     = function (event, listener) {
-        if (typeof listener !== 'function') {
-            throw TypeError('listener must be a function');
+    function unwrap (listener) {
+        return typeof listener.listener === 'function' ? listener.listener : listener;
+    }
+
+    /*
+     * Get maximum listeners of given event type before warning about possible memory leak
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     *
+     * @return {Integer} Maximum listeners, 0 for unlimited
+     */
+    function limit (emitter, event) {
+        var max = emitter._eventMaxListeners && emitter._eventMaxListeners.get(event);
+        if (max !== undefined) {
+            return max;
         }
-        var listeners = this._events[event]
-             , index  = listeners && listeners.length
-        ;
-        if (index) {
-             // Search last index of listener in listeners
-            while (~--index // Decrease and stop if index is -1
-                && (!(index in listeners) || // Skip if index is not set (sparse array)
-                listener !== (listeners[index].listener || listeners[index])) // Stop when listener found
-            );
-            if (~index) {
-                listeners.splice(index, 1);
-                this.emit('removeListener', event, listener);
-            }
+        return emitter._maxListeners !== undefined ? emitter._maxListeners : EventEmitter.defaultMaxListeners;
+    }
+
+    /*
+     * Split namespaces from event type ('resize.myPlugin'), when namespaces are enabled
+     * Wildcard patterns ('order.*') are kept whole, dots separate their segments
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     *
+     * @return {Object} Event type and list of namespaces
+     */
+    function parse (emitter, event) {
+        var namespaces = emitter._namespaces !== undefined ? emitter._namespaces : EventEmitter.defaultNamespaces;
+        if (!namespaces || typeof event !== 'string' || event.indexOf('.') === -1 || isPattern(event)) {
+            return { event : event, namespaces : [] };
         }
-        return this;
-    };
+        namespaces = event.split('.');
+        return { event : namespaces.shift(), namespaces : namespaces };
+    }
 
     /*
-     * Remove all listeners [of given event type]
+     * Check if stored listener matches given listener function and belongs to all given namespaces
      *
-     * @param {String} event Optional, event type
+     * @param {Function} stored     Stored listener function or wrapper
+     * @param {Function} listener   Optional, listener function
+     * @param {Array}    namespaces List of namespaces
      *
-     * @return {EventEmitter} Fluent interface
+     * @return {Boolean} Does stored listener match
      */
-    EventEmitter.prototype.removeAllListeners = function (event) {
-        if (arguments.length === 0) {
-            if (this._events.removeListener) { // Listening for removeListener, need to emit
-                // All but removeListener
-                for (var key in this._events) {
-                    if (key !== 'removeListener') {
-                        this.removeAllListeners(key);
-                    }
-                }
-                // Finally remove removeListener
-                this.removeAllListeners('removeListener');
-            }
-            this._events = {};
-        } else {
-            var listeners = this._events[event];
-            if (listeners) {
-                // LIFO order
-                while (listeners.length) {
-                    this.removeListener(event, listeners[listeners.length - 1]);
-                }
-                delete this._events[event];
+    function matches (stored, listener, namespaces) {
+        if (listener && listener !== stored && listener !== stored.listener) {
+            return false;
+        }
+        for (var index = 0, length = namespaces.length; index < length; index++) {
+            if (!stored.namespaces || stored.namespaces.indexOf(namespaces[index]) === -1) {
+                return false;
             }
         }
-        return this;
-    };
+        return true;
+    }
 
     /*
-     * Get all listeners of given event type
+     * Pass emission to forwarders of connected remote emitters (see connect)
+     * Forwarders are kept out of listeners, they neither count as listeners nor handle 'error' events
      *
-     * @param {Integer} n Maximum listeners before emitter display a warning about possible memory leak
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param {Arguments}    args    Emit arguments, event type included
+     */
+    function relay (emitter, args) {
+        var forwarders = emitter._remotes.slice();
+        for (var index = 0; index < forwarders.length; index++) {
+            forwarders[index].apply(emitter, args);
+        }
+    }
+
+    // Event types never bubbling up to parent emitter
+    var grounded                              = ['newListener', 'removeListener', 'error'];
+
+    /*
+     * Check if emission bubbles up to parent emitter with same arguments (see setParent)
+     * Event objects bubble through emitCancelable instead
      *
-     * @return {EventEmitter} Fluent interface
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param {Arguments}    args    Emit arguments, event type included
      *
-     * @todo Get rid of maxListeners feature?
+     * @return {Boolean} Does emission bubble
      */
-    EventEmitter.prototype.setMaxListeners    = function (n) {
-      if (!typeof n === 'number' || n < 0 || isNaN(n)) {
-        throw TypeError('n must be a positive number');
-      }
-      this._maxListeners = n;
-      return this;
-    };
+    function bubbles (emitter, args) {
+        return !!emitter._parent && grounded.indexOf(args[0]) === -1
+            && !(args.length === 2 && args[1] instanceof EmitterEvent);
+    }
 
     /*
-     * Get all listeners of given event type
+     * Get every event type (and wildcard pattern) having listeners storage
      *
-     * @param {String} event Event type
+     * @param {EventEmitter} emitter EventEmitter instance
      *
-     * @return {Array} List of listeners functions
+     * @return {Array} List of event types
      */
-    EventEmitter.prototype.listeners          = function (event) {
-        return this._events[event] ?
-            Array.apply(this, this._events[event]) : // fast way to make array copy
-            []
-        ;
-    };
+    function types (emitter) {
+        var events = [];
+        emitter._events.forEach(function (listeners, event) {
+            events.push(event);
+        });
+        emitter._wildcards.forEach(function (listeners) {
+            events.push(listeners.event);
+        });
+        return events;
+    }
 
     /*
-     * Apply all listeners of given event type
+     * Add listener to emitter storage
      *
-     * @param {String} event  Event type
-     * @param mixed  arg... Optional, argument(s) passed to event listener(s)
+     * @param {EventEmitter} emitter  EventEmitter instance
+     * @param {String}       event    Event type
+     * @param {Function}     listener Listener function
+     * @param {Boolean}      prepend  Add listener before already added listeners of same priority
+     * @param {Object}       options  Optional, { priority: Number, weak: Boolean|Object } see addListener
      *
-     * @return {Boolean} Was event emitted
+     * @throw {TypeError} if listener is not a function or priority is not a number.
+     *
+     * @return {EventEmitter} Fluent interface
      */
-    EventEmitter.prototype.emit               = function (event, arg1, arg2, arg3, arg4/*[, arg5] ... */ ) {
-        var listeners = this._events[event]
-            , length  = listeners && listeners.length
-            , index   = 0
+    function add (emitter, event, listener, prepend, options) {
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        var parsed     = parse(emitter, event)
+            , priority = options && options.priority !== undefined ? options.priority : 0
         ;
-        if (!length) {
-            if (event === 'error') {
-                var error = arg1;
-                if (this.domain) {
-                    if (!error)
-                        error = new Error('Uncaught, unspecified "error" event.');
-                    error.domainEmitter = this;
-                    error.domain        = this.domain;
-                    error.domainThrown  = false;
-                    this.domain.emit('error', error);
-                } else {
-                    throw error;
-                }
+        if (typeof priority !== 'number' || isNaN(priority)) {
+            throw TypeError('priority must be a number');
+        }
+        if (options && options.weak) {
+            listener            = weaken(emitter, parsed.event, listener, options.weak);
+        }
+        if (parsed.namespaces.length) {
+            event               = parsed.event;
+            listener            = decorate(listener);
+            listener.namespaces = parsed.namespaces;
+        }
+        if (priority !== 0) {
+            listener          = decorate(listener);
+            listener.priority = priority;
+        }
+        if (emitter._emitNewListener) {
+            emitter.emit('newListener', event, unwrap(listener));
+        }
+        var listeners = lookup(emitter, event, true)
+            , max     = limit(emitter, event)
+            , index   = prepend ? 0 : listeners.length
+            , count
+        ;
+        // Keep listeners sorted by priority, FIFO for equal priorities
+        if (prepend) {
+            while (index < listeners.length && rank(listeners[index]) > priority) {
+                index++;
+            }
+        } else {
+            while (index && rank(listeners[index - 1]) < priority) {
+                index--;
             }
-            return false;
         }
-        switch (arguments.length) {
-            case 1:
-                while (index < length) {
-                    listeners[index] && listeners[index++].call(this);
-                }
-            break;
-            case 2:
-                while (index < length) {
-                    listeners[index] && listeners[index++].call(this, arg1);
-                }
-            break;
-            case 3:
-                while (index < length) {
-                    listeners[index] && listeners[index++].call(this, arg1, arg2);
-                }
-            break;
-            case 4:
-                 while (index < length) {
-                    listeners[index] && listeners[index++].call(this, arg1, arg2, arg3);
-                }
-            break;
-            case 5:
-                while (index < length) {
-                    listeners[index] && listeners[index++].call(this, arg1, arg2, arg3, arg4);
-                }
-            break;
-            default:
-                for (var i = 1, len = arguments.length, args = new Array(len - 1); i < len; i++) {
-                    args[i - 1] = arguments[i];
-                }
-                while (index < length) {
-                    listeners[index] && listeners[index++].apply(this, args);
-                }
+        listeners.splice(index, 0, listener);
+        count = listeners.length;
+        if (max > 0 && !listeners.warned && count > max) {
+            listeners.warned = true;
+            warn(emitter, event, count);
         }
-        return true;
-    };
+        var timeline = tracer(emitter);
+        if (timeline) {
+            trace(timeline, 'addListener', emitter, event, { listener : unwrap(listener).name || '' });
+        }
+        replay(emitter, event, listener);
+        return emitter;
+    }
 
     /*
-     * Count listeners of an event type in given emitter
+     * Record emission of a sticky event type, to be replayed to listeners added later
      *
-     * @param {EventEmitter} emitter EventEmitter to check
-     * @param {String}       event   Event type
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     * @param {Arguments}    args    Emit arguments, event type excluded
      *
-     * @return {Integer} Count of event type listener(s)
+     * @return {Boolean} False if event type is latched and already emitted
+     */
+    function record (emitter, event, args) {
+        var sticky = emitter._sticky && emitter._sticky.get(event);
+        if (!sticky) {
+            return true;
+        }
+        if (sticky.latched && sticky.emissions.length) {
+            return false;
+        }
+        sticky.emissions.push(Array.prototype.slice.call(args, 1));
+        sticky.emissions.splice(0, sticky.emissions.length - sticky.size);
+        return true;
+    }
+
+    /*
+     * Replay recorded emissions of sticky event type(s) to a newly added listener
+     * Wildcard listeners get every matching sticky event type replayed, with event type as first argument
      *
-     * @todo Get rid of this helper?
+     * @param {EventEmitter} emitter  EventEmitter instance
+     * @param mixed          event    Event type or wildcard pattern
+     * @param {Function}     listener Stored listener function or wrapper
      */
-    EventEmitter.listenerCount                = function (emitter, event) {
-        if (typeof emitter.listeners !== 'function') {
-            throw TypeError('emitter must be compatible with EventEmitter interface');
+    function replay (emitter, event, listener) {
+        if (!emitter._sticky || !emitter._sticky.size) {
+            return;
         }
-        return emitter.listeners(event).length;
-    };
+        var listeners = lookup(emitter, event)
+            , pending   = []
+        ;
+        if (listeners.pattern) {
+            emitter._sticky.forEach(function (sticky, name) {
+                listeners.pattern.lastIndex = 0;
+                if (typeof name === 'string' && listeners.pattern.test(name)) {
+                    sticky.emissions.forEach(function (args) {
+                        pending.push([name].concat(args));
+                    });
+                }
+            });
+        } else if (emitter._sticky.has(event)) {
+            pending = emitter._sticky.get(event).emissions.slice();
+        }
+        // Stop as soon as listener is removed (once listeners, or removing themselves)
+        for (var index = 0; index < pending.length && listeners.indexOf(listener) !== -1; index++) {
+            listener.apply(emitter, pending[index]);
+        }
+    }
+
+    /*
+     * Run middlewares matching given event type, then emit (rewritten) event if none swallowed it
+     * Each middleware gets event type, arguments array and next callback,
+     * next may be called with another event type and/or arguments array to rewrite them
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     * @param {Array}        args    Emit arguments, event type excluded
+     * @param {Function}     emit    Optional, emit method to apply, default to EventEmitter.prototype.emit
+     *
+     * @return {Boolean|Promise} Was event emitted, or emit method result
+     */
+    function pipe (emitter, event, args, emit) {
+        var middlewares = emitter._middlewares.slice()
+            , emitted   = false
+        ;
+        (function step (position, event, args) {
+            while (position < middlewares.length && !scoped(middlewares[position], event)) {
+                position++;
+            }
+            if (position === middlewares.length) {
+                emitter._piped = true; // Skip middlewares once
+                return (emitted = (emit || EventEmitter.prototype.emit).apply(emitter, [event].concat(args)));
+            }
+            var called = false;
+            middlewares[position].middleware.call(emitter, event, args, function next (type, params) {
+                if (called) {
+                    throw Error('next called multiple times');
+                }
+                if (params !== undefined && !Array.isArray(params)) {
+                    throw TypeError('args must be an array');
+                }
+                called = true;
+                return step(position + 1, arguments.length ? type : event, params || args);
+            });
+            return emitted;
+        })(0, event, args);
+        return emitted;
+    }
+
+    /*
+     * Check if middleware applies to given event type
+     *
+     * @param {Object} stored Stored middleware, { event: mixed, pattern: RegExp, middleware: Function }
+     * @param mixed    event  Event type
+     *
+     * @return {Boolean} Does middleware apply
+     */
+    function scoped (stored, event) {
+        if (!('event' in stored)) {
+            return true;
+        }
+        if (stored.pattern) {
+            stored.pattern.lastIndex = 0; // Reset stateful global RegExp
+            return typeof event === 'string' && stored.pattern.test(event);
+        }
+        return stored.event === event;
+    }
+
+    /*
+     * Wrap listener so that emitter holds it, or its owner, weakly
+     * Wrapper removes itself when emitted after target is garbage collected, or when finalized
+     *
+     * @param {EventEmitter}    emitter  EventEmitter instance
+     * @param mixed             event    Event type
+     * @param {Function}        listener Listener function
+     * @param {Boolean|Object}  owner    True to hold listener weakly, or owner to hold weakly, listener is then applied on owner
+     *
+     * @throw {TypeError} If WeakRef is not supported, listener is a once wrapper or owner is not an object.
+     *
+     * @return {Function} Weak wrapper, exposing original function as listener property while alive,
+     *   and weak reference to its target (owner or listener) as ref property
+     */
+    function weaken (emitter, event, listener, owner) {
+        if (typeof WeakRef !== 'function' || typeof FinalizationRegistry !== 'function') {
+            throw TypeError('weak listeners require WeakRef and FinalizationRegistry support');
+        }
+        if (typeof listener.listener === 'function') {
+            throw TypeError('once listeners can not be weak');
+        }
+        if (owner !== true && typeof owner !== 'object' && typeof owner !== 'function') {
+            throw TypeError('owner must be an object');
+        }
+        var held      = owner === true
+            , target  = held ? listener : owner
+            , ref     = new WeakRef(target)
+            , wrapper = function () {
+                var alive = ref.deref();
+                if (alive === undefined) {
+                    emitter.removeListener(event, wrapper);
+                    return;
+                }
+                return held ? alive.apply(this, arguments) : listener.apply(alive, arguments);
+            }
+        ;
+        wrapper.ref = ref;
+        Object.defineProperty(wrapper, 'listener', {
+            enumerable   : true
+            , get        : function () {
+                return held ? ref.deref() : listener;
+            }
+        });
+        if (!emitter._finalizer) {
+            emitter._finalizer = new FinalizationRegistry(function (weak) {
+                emitter.removeListener(weak.event, weak.wrapper);
+            });
+        }
+        emitter._finalizer.register(target, { event : event, wrapper : wrapper }, wrapper);
+        listener = held ? null : listener; // Hold only the reference
+        target   = null;
+        return wrapper;
+    }
+
+    /*
+     * Deliver a MaxListenersExceededWarning to EventEmitter.onWarning if set,
+     * else as 'warning' event if emitter has listeners for it, else to process.emitWarning in node, else to console
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     * @param {Integer}      count   Count of event type listeners
+     */
+    function warn (emitter, event, count) {
+        var name      = emitter.constructor && emitter.constructor.name || 'EventEmitter'
+            , warning = new Error('Possible EventEmitter memory leak detected. ' + count + ' ' + String(event)
+                + ' listeners added to [' + name + ']. Use emitter.setMaxListeners() to increase limit')
+        ;
+        warning.name    = 'MaxListenersExceededWarning';
+        warning.emitter = emitter;
+        warning.type    = event;
+        warning.count   = count;
+        if (typeof EventEmitter.onWarning === 'function') {
+            EventEmitter.onWarning(warning);
+        } else if (emitter.listenerCount('warning')) {
+            emitter.emit('warning', warning);
+        } else if (typeof process === 'object' && process && typeof process.emitWarning === 'function') {
+            process.emitWarning(warning);
+        } else if (typeof console === 'object' && console) {
+            console.error(warning.stack || String(warning));
+        }
+    }
+
+    /*
+     * Get priority of stored listener
+     *
+     * @param {Function} listener Stored listener function or wrapper
+     *
+     * @return {Number} Listener priority, 0 by default
+     */
+    function rank (listener) {
+        return typeof listener.listener === 'function' && listener.priority || 0;
+    }
+
+    /*
+     * Merge exact and wildcard listeners by priority, exact listeners first for equal priorities
+     *
+     * @param {Array} listeners Exact listeners, sorted by priority
+     * @param {Array} matched   Matching wildcard listeners, sorted by priority (see wildcards)
+     *
+     * @return {Array} Listeners queue, [{ listener: Function, wildcard: Boolean }]
+     */
+    function ordered (listeners, matched) {
+        var queue = []
+            , i   = 0
+            , j   = 0
+        ;
+        while (i < listeners.length || j < matched.length) {
+            if (j === matched.length || i < listeners.length && rank(listeners[i]) >= rank(matched[j])) {
+                queue.push({ listener : listeners[i++], wildcard : false });
+            } else {
+                queue.push({ listener : matched[j++], wildcard : true });
+            }
+        }
+        return queue;
+    }
+
+    /*
+     * Wrap listener to be fired only once, wrapper removes itself when fired
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     *
+     * @return {Function} Once wrapper, exposing original function as listener property
+     */
+    function once (event, listener) {
+        var fired  = false
+            , once = function () {
+                this.removeListener(event, once);
+                if (!fired) {
+                    fired = true;
+                    return listener.apply(this, arguments);
+                }
+            }
+        ;
+        once.listener = listener;
+        return once;
+    }
+
+    /*
+     * Inherits prototype of constructor from super constructor
+     *
+     * @param {Function} Constructor      Child constructor
+     * @param {Function} SuperConstructor Parent constructor
+     */
+    function inherits (Constructor, SuperConstructor) {
+        Constructor.super_                    = SuperConstructor;
+        // es5 compatible browser
+        if (Object.create) {
+            Constructor.prototype             = Object.create(SuperConstructor.prototype, {
+                constructor : {
+                    value          : Constructor
+                    , enumerable   : false
+                    , writable     : true
+                    , configurable : true
+                }
+            });
+        // legacy browser
+        } else {
+            var TempConstructor               = function () {};
+            TempConstructor.prototype         = SuperConstructor.prototype;
+            Constructor.prototype             = new TempConstructor;
+            Constructor.prototype.constructor = Constructor;
+        }
+    }
+
+    /*
+     * Create error used to reject when an AbortSignal is aborted
+     *
+     * @param {AbortSignal} signal Aborted signal
+     *
+     * @return {Error} AbortError
+     */
+    function abortError (signal) {
+        var error   = new Error('The operation was aborted');
+        error.name  = 'AbortError';
+        error.code  = 'ABORT_ERR';
+        error.cause = signal && signal.reason;
+        return error;
+    }
+
+    /*
+     * Get type of value as named in schemas
+     *
+     * @param mixed value Value
+     *
+     * @return {String} 'null', 'array' or typeof value
+     */
+    function kind (value) {
+        return value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /*
+     * Check value against JSON-Schema-like descriptor
+     * Supports type (or list of types, 'integer' and 'any' included), enum, minimum, maximum,
+     * minLength, maxLength, pattern, items, properties, required and additionalProperties
+     *
+     * @param mixed    value  Value to check
+     * @param {Object} schema Descriptor
+     * @param {String} path   Path of value, used in message
+     *
+     * @return {String} Error message, empty if value is valid
+     */
+    function conform (value, schema, path) {
+        var type      = kind(value)
+            , types   = schema.type === undefined ? [] : [].concat(schema.type)
+            , length  = type === 'string' || type === 'array' ? value.length : undefined
+            , message = ''
+            , index
+            , key
+        ;
+        if (types.length && !types.some(function (expected) {
+            return expected === 'any' || expected === type
+                || (expected === 'integer' && type === 'number' && value % 1 === 0);
+        })) {
+            return path + ' must be ' + types.join(' or ');
+        }
+        if (schema.enum && schema.enum.indexOf(value) === -1) {
+            return path + ' must be one of ' + schema.enum.map(String).join(', ');
+        }
+        if (type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            return path + ' must be >= ' + schema.minimum;
+        }
+        if (type === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+            return path + ' must be <= ' + schema.maximum;
+        }
+        if (length !== undefined && schema.minLength !== undefined && length < schema.minLength) {
+            return path + ' length must be >= ' + schema.minLength;
+        }
+        if (length !== undefined && schema.maxLength !== undefined && length > schema.maxLength) {
+            return path + ' length must be <= ' + schema.maxLength;
+        }
+        if (type === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            return path + ' must match ' + schema.pattern;
+        }
+        if (type === 'array' && schema.items) {
+            for (index = 0; !message && index < value.length; index++) {
+                message = conform(value[index], schema.items, path + '[' + index + ']');
+            }
+            return message;
+        }
+        if (type === 'object') {
+            for (index = 0; schema.required && index < schema.required.length; index++) {
+                if (!(schema.required[index] in value)) {
+                    return path + '.' + schema.required[index] + ' is required';
+                }
+            }
+            for (key in value) {
+                if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                    continue;
+                }
+                if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+                    if (message = conform(value[key], schema.properties[key], path + '.' + key)) {
+                        return message;
+                    }
+                } else if (schema.additionalProperties === false) {
+                    return path + '.' + key + ' is not allowed';
+                }
+            }
+        }
+        return message;
+    }
+
+    /*
+     * Validate emitted arguments against schema of event type (see setSchema)
+     * Depending on emitter validation mode, invalid payload throws or is emitted as 'error' event
+     * Invalid 'error' event payload always throws
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          event   Event type
+     * @param {Array}        args    Emitted arguments, event type excluded
+     *
+     * @throw {Error} ValidationError, if payload is invalid and validation mode is 'throw' or event type is 'error'.
+     *
+     * @return {Boolean} Is payload valid
+     */
+    function valid (emitter, event, args) {
+        var mode      = emitter._validation !== undefined ? emitter._validation : EventEmitter.defaultValidation
+            , schema  = emitter._schemas.get(event)
+            , message = ''
+            , error
+        ;
+        if (!mode) {
+            return true;
+        }
+        if (typeof schema === 'function') {
+            message = schema.apply(emitter, args);
+            // Only false or an error message fail, validators may return nothing when valid
+            message = message === false ? 'payload does not match schema' : typeof message === 'string' ? message : '';
+        } else {
+            for (var index = 0, schemas = [].concat(schema); !message && index < schemas.length; index++) {
+                message = conform(args[index], schemas[index], 'args[' + index + ']');
+            }
+        }
+        if (!message) {
+            return true;
+        }
+        error       = new Error('Invalid "' + String(event) + '" event payload: ' + message);
+        error.name  = 'ValidationError';
+        error.code  = 'ERR_INVALID_EVENT_PAYLOAD';
+        error.event = event;
+        error.args  = args;
+        if (mode === 'emit' && event !== 'error') { // Invalid 'error' payload can't be emitted as 'error'
+            emitter.emit('error', error);
+            return false;
+        }
+        throw error;
+    }
+
+    // Count of traced emitters, used to identify them
+    var traced                                = 0;
+
+    /*
+     * Get timeline recording given emitter activity, if tracing is enabled (see setTracing)
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     *
+     * @return {Timeline} Timeline, null if tracing is disabled
+     */
+    function tracer (emitter) {
+        var tracing = emitter._tracing !== undefined ? emitter._tracing : EventEmitter.defaultTracing;
+        return tracing instanceof Timeline ? tracing : tracing ? EventEmitter.timeline : null;
+    }
+
+    /*
+     * Record emitter activity in timeline
+     *
+     * @param {Timeline}     timeline Timeline
+     * @param {String}       type     Activity type: 'emit', 'addListener', 'removeListener' or 'removeAllListeners'
+     * @param {EventEmitter} emitter  EventEmitter instance
+     * @param mixed          event    Event type
+     * @param {Object}       details  Optional, additional record properties
+     *
+     * @return {Object} Record
+     */
+    function trace (timeline, type, emitter, event, details) {
+        if (!emitter._traceId) {
+            emitter._traceId = (emitter.constructor && emitter.constructor.name || 'EventEmitter') + '#' + ++traced;
+        }
+        var entry = {
+            type        : type
+            , time      : new Date().getTime()
+            , emitter   : emitter._traceId
+            , event     : event instanceof RegExp ? String(event) : typeof event === 'symbol' ? event.toString() : event
+            , listeners : emitter.listenerCount(event)
+        };
+        for (var key in details) {
+            entry[key] = details[key];
+        }
+        return timeline.record(entry);
+    }
+
+    /*
+     * Record emission in timeline, with arguments previews and count of listeners, exact and wildcard ones
+     *
+     * @param {Timeline}     timeline Timeline
+     * @param {EventEmitter} emitter  EventEmitter instance
+     * @param {Arguments}    args     Emit arguments, event type included
+     *
+     * @return {Object} Record
+     */
+    function emission (timeline, emitter, args) {
+        return trace(timeline, 'emit', emitter, args[0], {
+            args        : Array.prototype.slice.call(args, 1).map(preview)
+            , listeners : (emitter._events.get(args[0]) || []).length + wildcards(emitter, args[0]).length
+        });
+    }
+
+    /*
+     * Describe value shortly, for timeline records
+     *
+     * @param mixed value Value
+     *
+     * @return {String} Preview
+     */
+    function preview (value) {
+        switch (kind(value)) {
+            case 'string':
+                return JSON.stringify(value.length > 40 ? value.slice(0, 40) + '...' : value);
+            case 'function':
+                return '[Function' + (value.name ? ': ' + value.name : '') + ']';
+            case 'array':
+                return 'Array(' + value.length + ')';
+            case 'object':
+                var keys = Object.keys(value);
+                return (value.constructor && value.constructor.name || 'Object')
+                    + ' {' + keys.slice(0, 5).join(', ') + (keys.length > 5 ? ', ...' : '') + '}';
+            default:
+                return String(value);
+        }
+    }
+
+    /*
+     * Get current time in ms, high resolution if available
+     *
+     * @return {Number} Time
+     */
+    function now () {
+        return typeof performance === 'object' && performance && typeof performance.now === 'function' ?
+            performance.now() :
+            new Date().getTime()
+        ;
+    }
+
+    /*
+     * Defer function call, out of current call stack and promise chain
+     *
+     * @param {Function} fn Function to call
+     */
+    function defer (fn) {
+        if (typeof process === 'object' && process && typeof process.nextTick === 'function') {
+            process.nextTick(fn);
+        } else {
+            setTimeout(fn, 0);
+        }
+    }
+
+    /*
+     * Route rejection of promise returned by a listener to emitter
+     * Call emitter captureRejectionSymbol method if defined, else emit 'error' event
+     *
+     * @param {EventEmitter} emitter EventEmitter instance
+     * @param mixed          result  Listener returned value
+     * @param mixed          event   Event type
+     * @param {Array}        args    Emitted arguments
+     */
+    function capture (emitter, result, event, args) {
+        if (!result || typeof result.then !== 'function') {
+            return;
+        }
+        result.then(undefined, function (error) {
+            defer(function () {
+                var handler = emitter[EventEmitter.captureRejectionSymbol];
+                if (typeof handler === 'function') {
+                    return handler.apply(emitter, [error, event].concat(args));
+                }
+                var previous = emitter._captureRejections;
+                emitter._captureRejections = false; // Do not capture rejections of 'error' listeners
+                try {
+                    emitter.emit('error', error);
+                } finally {
+                    emitter._captureRejections = previous;
+                }
+            });
+        });
+    }
+
+    /*** EventEmitter constructor ***/
+
+    /*
+     * EventEmitter
+     *
+     * @constructor
+     *
+     * @param {Object} options Optional, configuration
+     *   - emitNewListener    {Boolean} Emit 'newListener' event when a listener is added, true by default
+     *   - emitRemoveListener {Boolean} Emit 'removeListener' event when a listener is removed, true by default
+     *   - maxListeners       {Integer} Maximum listeners per event type, see setMaxListeners
+     *   - captureRejections  {Boolean} Emit promises rejected by listeners as 'error' event
+     *   - strictErrors       {Boolean} Wrap unhandled 'error' event argument in an Error if it is not one
+     *   - namespaces         {Boolean} Enable namespaces in event types, see setNamespaces
+     *   - parallel           {Boolean} Await listeners in parallel in emitAsync, see setParallel
+     */
+    function EventEmitter (options) {
+        EventEmitter.init.call(this, options);
+    }
+
+    /*** Init in separate function allow patching and easyer debugging ***/
+
+    EventEmitter.init = function (options) {
+        if (options && options.captureRejections !== undefined) {
+            if (typeof options.captureRejections !== 'boolean') {
+                throw TypeError('captureRejections must be a boolean');
+            }
+            this._captureRejections = options.captureRejections;
+        } else {
+            this._captureRejections = EventEmitter.captureRejections;
+        }
+        this.domain        = null;
+        if (EventEmitter.usingDomains && Domain.active && !(this instanceof Domain)) {
+            this.domain    = Domain.active;
+        }
+        this._events       = this._events || createMap();
+        this._wildcards    = this._wildcards || createMap();
+        this._maxListeners = this._maxListeners || undefined; // @todo Get rid of maxListeners feature?
+        this._eventMaxListeners = this._eventMaxListeners || createMap();
+        if (!options) {
+            return;
+        }
+        if (options.emitNewListener !== undefined) {
+            this._emitNewListener = !!options.emitNewListener;
+        }
+        if (options.emitRemoveListener !== undefined) {
+            this._emitRemoveListener = !!options.emitRemoveListener;
+        }
+        if (options.strictErrors !== undefined) {
+            this._strictErrors = !!options.strictErrors;
+        }
+        if (options.maxListeners !== undefined) {
+            this.setMaxListeners(options.maxListeners);
+        }
+        if (options.namespaces !== undefined) {
+            this.setNamespaces(options.namespaces);
+        }
+        if (options.parallel !== undefined) {
+            this.setParallel(options.parallel);
+        }
+        if (options.parent !== undefined) {
+            this.setParent(options.parent);
+        }
+        if (options.validation !== undefined) {
+            this.setValidation(options.validation);
+        }
+        if (options.tracing !== undefined) {
+            this.setTracing(options.tracing);
+        }
+    }
+
+    /*** Backwards-compat with node 0.10.x ***/
+
+    EventEmitter.EventEmitter                 = EventEmitter;
+
+    /*** Default EventEmitter properties ***/
+
+    EventEmitter.usingDomains                 = false;
+    EventEmitter.defaultMaxListeners          = 10;           // @todo Get rid of maxListeners feature?
+    EventEmitter.defaultNamespaces            = false;
+    EventEmitter.defaultParallel              = false;
+    EventEmitter.defaultValidation            = 'throw';      // Set to false to disable validation in production
+    EventEmitter.defaultTracing               = false;        // Set to true (or a Timeline) to trace every emitter
+    EventEmitter.captureRejections            = false;
+    EventEmitter.onWarning                    = null;         // Set a function to handle MaxListenersExceededWarning
+    EventEmitter.captureRejectionSymbol       = typeof Symbol === 'function' ? Symbol.for('nodejs.rejection') : '@@nodejs.rejection';
+
+    /*** Declare EventEmitter prototype properties ***/
+
+    EventEmitter.prototype.domain             = undefined;
+    EventEmitter.prototype._events            = undefined;
+    EventEmitter.prototype._wildcards         = undefined;
+    EventEmitter.prototype._maxListeners      = undefined;    // @todo Get rid of maxListeners feature?
+    EventEmitter.prototype._eventMaxListeners = undefined;
+    EventEmitter.prototype._namespaces        = undefined;
+    EventEmitter.prototype._parallel          = undefined;
+    EventEmitter.prototype._captureRejections = undefined;
+    EventEmitter.prototype._emitNewListener   = true;
+    EventEmitter.prototype._emitRemoveListener = true;
+    EventEmitter.prototype._strictErrors      = false;
+    EventEmitter.prototype._sticky            = undefined;
+    EventEmitter.prototype._middlewares       = undefined;
+    EventEmitter.prototype._piped             = false;
+    EventEmitter.prototype._parent            = undefined;
+    EventEmitter.prototype._schemas           = undefined;
+    EventEmitter.prototype._validation        = undefined;
+    EventEmitter.prototype._tracing           = undefined;
+    EventEmitter.prototype._traced            = false;
+    EventEmitter.prototype._traceId           = undefined;
+    EventEmitter.prototype._finalizer         = undefined;
+    EventEmitter.prototype._remotes           = undefined;
+
+    /*** Define EventEmitter prototype methods ***/
+
+    /*
+     * Add listener for given event type that will be fired every time
+     * Event type may be a wildcard pattern ('user.*', '**') or a RegExp,
+     * matching listeners then receive the emitted event type as first argument
+     * When namespaces are enabled, event type may be suffixed by namespaces ('resize.myPlugin')
+     * Weak listeners are held weakly (see addWeakListener), removed once garbage collected
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   options  Optional, { priority: Number, weak: Boolean|Object }
+     *   higher priority listeners are fired first, weak is true to hold listener weakly or an owner to hold weakly
+     *
+     * @throw {TypeError} if listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     *
+     * @todo Get rid of this maxListeners warning?
+     */
+    EventEmitter.prototype.addListener        = function (event, listener, options) {
+        return add(this, event, listener, false, options);
+    };
+
+    /*
+     * Add listener for given event type and get a subscription handle to remove it
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   options  Optional, addListener options
+     *
+     * @throw {TypeError} if listener is not a function.
+     *
+     * @return {Subscription} Subscription handle, removing this very listener even if same function is added many times
+     */
+    EventEmitter.prototype.subscribe          = function (event, listener, options) {
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        var type     = parse(this, event).event
+            , before = (lookup(this, type) || []).slice()
+        ;
+        // Own wrapper to identify stored listener, weak listeners are wrapped already
+        this.on(event, options && options.weak ? listener : decorate(listener), options);
+        var stored = (lookup(this, type) || []).filter(function (added) {
+            return before.indexOf(added) === -1;
+        })[0];
+        return new Subscription(this, event, listener, stored);
+    };
+
+    /*
+     * Add listener for given event type that will be fired every time while owner is alive
+     * Emitter holds owner weakly and listener is applied on owner, listener should not reference owner itself:
+     * use a prototype method (emitter.addWeakListener('change', View.prototype.render, view))
+     * Without owner, listener itself is held weakly, caller must keep a reference to it
+     * Remove it with removeWeakListener or a subscription handle (see subscribe),
+     * removeListener may remove the same listener of another owner
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   owner    Optional, object whose lifetime bounds listener
+     *
+     * @throw {TypeError} If listener is not a function or weak references are not supported.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.addWeakListener    = function (event, listener, owner) {
+        return this.on(event, listener, { weak : owner === undefined ? true : owner });
+    };
+
+    /*
+     * Remove weak listener of given owner (see addWeakListener)
+     * Unlike removeListener, it does not remove the same listener added for another owner
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   owner    Optional, owner given to addWeakListener
+     *
+     * @throw {TypeError} If listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.removeWeakListener = function (event, listener, owner) {
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        var target    = owner === undefined ? listener : owner
+            , stored  = lookup(this, parse(this, event).event) || []
+            , index   = stored.length
+        ;
+        while (index--) {
+            if (stored[index].ref && stored[index].ref.deref() === target && unwrap(stored[index]) === listener) {
+                return this.removeListener(event, stored[index]);
+            }
+        }
+        return this;
+    };
+
+    /*
+     * Add listener for given event type that will be fired every time, before already added listeners
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   options  Optional, { priority: Number } prepend among listeners of same priority
+     *
+     * @throw {TypeError} if listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.prependListener    = function (event, listener, options) {
+        return add(this, event, listener, true, options);
+    };
+
+    /*
+     * Add listener for given event type that will be fired only once
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   options  Optional, { priority: Number } higher priority listeners are fired first
+     *
+     * @throw {TypeError} If listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.once               = function (event, listener, options) {
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        this.on(event, once(event, listener), options);
+        return this;
+    };
+
+    /*
+     * Add listener for given event type that will be fired only once, before already added listeners
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     * @param {Object}   options  Optional, { priority: Number } prepend among listeners of same priority
+     *
+     * @throw {TypeError} If listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.prependOnceListener = function (event, listener, options) {
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        this.prependListener(event, once(event, listener), options);
+        return this;
+    };
+
+    /*
+     * Remove specific listener for given event type
+     * When namespaces are enabled, listener is optional if event type has namespaces ('.myPlugin')
+     *
+     * @param {String}   event    Event type
+     * @param {Function} listener Listener function
+     *
+     * @throw {TypeError} If listener is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.removeListener     = function (event, listener) {
+        var parsed = parse(this, event);
+        if (listener === undefined && parsed.namespaces.length) {
+            return this.removeAllListeners(event);
+        }
+        if (typeof listener !== 'function') {
+            throw TypeError('listener must be a function');
+        }
+        // Namespaces only, search every event type
+        var names = parsed.event === '' && parsed.namespaces.length ? types(this) : [parsed.event];
+        for (var i = 0; i < names.length; i++) {
+            var listeners = lookup(this, names[i])
+                 , index  = listeners && listeners.length
+            ;
+            if (index) {
+                 // Search last index of listener in listeners
+                while (~--index // Decrease and stop if index is -1
+                    && (!(index in listeners) || // Skip if index is not set (sparse array)
+                    !matches(listeners[index], listener, parsed.namespaces)) // Stop when listener found
+                );
+                if (~index) {
+                    var removed  = listeners.splice(index, 1)[0]
+                        , timeline = tracer(this)
+                    ;
+                    if (timeline) {
+                        trace(timeline, 'removeListener', this, names[i], { listener : unwrap(removed).name || '' });
+                    }
+                    if (this._finalizer && removed.ref) { // Weak listener removed by hand
+                        this._finalizer.unregister(removed);
+                    }
+                    if (this._emitRemoveListener) {
+                        this.emit('removeListener', names[i], unwrap(removed));
+                    }
+                }
+            }
+        }
+        return this;
+    };
+
+    /*
+     * Remove all listeners [of given event type]
+     * When namespaces are enabled, remove only listeners of given namespaces ('resize.myPlugin' or '.myPlugin')
+     *
+     * @param {String} event Optional, event type
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.removeAllListeners = function (event) {
+        var parsed = parse(this, event);
+        if (parsed.namespaces.length) {
+            for (var names = parsed.event !== '' ? [parsed.event] : types(this), i = 0; i < names.length; i++) {
+                // LIFO order, on a copy since removeListener listeners may alter storage
+                for (var stored = (lookup(this, names[i]) || []).slice(), index = stored.length; index--;) {
+                    if (stored[index] && matches(stored[index], undefined, parsed.namespaces)) {
+                        this.removeListener(names[i], stored[index]);
+                    }
+                }
+            }
+            return this;
+        }
+        if (arguments.length === 0) {
+            if (this._events.get('removeListener')) { // Listening for removeListener, need to emit
+                // All but removeListener
+                for (names = types(this), i = 0; i < names.length; i++) {
+                    if (names[i] !== 'removeListener') {
+                        this.removeAllListeners(names[i]);
+                    }
+                }
+                // Finally remove removeListener
+                this.removeAllListeners('removeListener');
+            }
+            var timeline = tracer(this);
+            if (timeline) {
+                trace(timeline, 'removeAllListeners', this, undefined, { listeners : 0 });
+            }
+            this._events    = createMap();
+            this._wildcards = createMap();
+            this._finalizer = undefined; // Drop pending weak listeners finalization
+        } else {
+            var listeners = lookup(this, event);
+            if (listeners) {
+                // LIFO order
+                while (listeners.length) {
+                    this.removeListener(event, listeners[listeners.length - 1]);
+                }
+                forget(this, event);
+            }
+        }
+        return this;
+    };
+
+    /*
+     * Set maximum listeners [of given event type] before emitter display a warning about possible memory leak
+     *
+     * @param {Integer} n     Maximum listeners, 0 for unlimited
+     * @param mixed     event Optional, event type, limit applies to all event types when omitted
+     *
+     * @return {EventEmitter} Fluent interface
+     *
+     * @todo Get rid of maxListeners feature?
+     */
+    EventEmitter.prototype.setMaxListeners    = function (n, event) {
+      if (typeof n !== 'number' || n < 0 || isNaN(n)) {
+        throw TypeError('n must be a positive number');
+      }
+      if (arguments.length > 1) {
+        (this._eventMaxListeners || (this._eventMaxListeners = createMap())).set(event, n);
+      } else {
+        this._maxListeners = n;
+      }
+      return this;
+    };
+
+    /*
+     * Get maximum listeners [of given event type] before emitter display a warning about possible memory leak
+     *
+     * @param mixed event Optional, event type
+     *
+     * @return {Integer} Maximum listeners, 0 for unlimited
+     */
+    EventEmitter.prototype.getMaxListeners    = function (event) {
+      return arguments.length ?
+        limit(this, event) :
+        this._maxListeners !== undefined ? this._maxListeners : EventEmitter.defaultMaxListeners
+      ;
+    };
+
+    /*
+     * Enable or disable namespaces in event types ('resize.myPlugin')
+     * Event types can't contain dots when namespaces are enabled, except wildcard patterns ('order.*')
+     *
+     * @param {Boolean} enabled Use namespaces
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setNamespaces      = function (enabled) {
+      this._namespaces = !!enabled;
+      return this;
+    };
+
+    /*
+     * Enable or disable parallel calls of listeners in emitAsync
+     *
+     * @param {Boolean} enabled Await listeners in parallel instead of in series
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setParallel        = function (enabled) {
+      this._parallel = !!enabled;
+      return this;
+    };
+
+    /*
+     * Add middleware run before listeners on every emit or emitAsync [of given event type]
+     * Middleware gets event type, arguments array and next callback, it must call next to let event through,
+     * optionally with another event type and/or arguments array: next(event, args)
+     * Next must be called synchronously, returning emit or emitAsync result
+     *
+     * @param mixed      event      Optional, event type or wildcard pattern ('user.*', '**')
+     * @param {Function} middleware Middleware function
+     *
+     * @throw {TypeError} If middleware is not a function.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.use                = function (event, middleware) {
+      var stored = { middleware: arguments.length > 1 ? middleware : event };
+      if (typeof stored.middleware !== 'function') {
+        throw TypeError('middleware must be a function');
+      }
+      if (arguments.length > 1) {
+        stored.event = event;
+        if (isPattern(event)) {
+          stored.pattern = compile(event);
+        }
+      }
+      (this._middlewares || (this._middlewares = [])).push(stored);
+      return this;
+    };
+
+    /*
+     * Remove middleware [of given event type]
+     *
+     * @param mixed      event      Optional, event type or wildcard pattern
+     * @param {Function} middleware Middleware function
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.unuse              = function (event, middleware) {
+      var scope = arguments.length > 1;
+      middleware = scope ? middleware : event;
+      for (var index = this._middlewares ? this._middlewares.length : 0; index--;) {
+        var stored = this._middlewares[index];
+        if (stored.middleware === middleware && (!scope || stored.event === event ||
+          event instanceof RegExp && String(stored.event) === String(event))) {
+          this._middlewares.splice(index, 1);
+          break;
+        }
+      }
+      return this;
+    };
+
+    /*
+     * Make given event type sticky, its last emissions are replayed to listeners added later
+     *
+     * @param mixed     event Event type
+     * @param {Integer} n     Optional, count of emissions to remember, 1 by default, 0 to make event type not sticky
+     *
+     * @throw {TypeError} If n is not a positive number.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setSticky          = function (event, n) {
+      n = n === undefined ? 1 : n;
+      if (typeof n !== 'number' || n < 0 || isNaN(n)) {
+        throw TypeError('n must be a positive number');
+      }
+      var sticky = (this._sticky || (this._sticky = createMap())).get(event);
+      if (!n) {
+        this._sticky.delete(event);
+        return this;
+      }
+      if (!sticky) {
+        this._sticky.set(event, sticky = { emissions: [], latched: false });
+      }
+      sticky.size = n;
+      sticky.emissions.splice(0, sticky.emissions.length - n);
+      return this;
+    };
+
+    /*
+     * Latch given event type, it is emitted only once and replayed to listeners added later
+     * Further emissions are ignored until cleared (see clearSticky)
+     *
+     * @param mixed event Event type
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.latch              = function (event) {
+      this.setSticky(event, 1)._sticky.get(event).latched = true;
+      return this;
+    };
+
+    /*
+     * Forget recorded emissions [of given sticky event type], latched event types may be emitted again
+     *
+     * @param mixed event Optional, event type
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.clearSticky        = function (event) {
+      if (!this._sticky) {
+        return this;
+      }
+      if (arguments.length) {
+        if (this._sticky.has(event)) {
+          this._sticky.get(event).emissions = [];
+        }
+      } else {
+        this._sticky.forEach(function (sticky) {
+          sticky.emissions = [];
+        });
+      }
+      return this;
+    };
+
+    /*
+     * Set parent emitter, events bubble up to it after local listeners are applied
+     * Plain emit and emitAsync bubble with same arguments, except internal and 'error' events,
+     * emitCancelable bubbles an event object exposing original target, that may stop propagation
+     *
+     * @param {EventEmitter} parent Parent emitter, null to unset
+     *
+     * @throw {TypeError} If parent is not an emitter or is a descendant of emitter.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setParent          = function (parent) {
+      if (parent !== null && (!parent || typeof parent.emit !== 'function')) {
+        throw TypeError('parent must be an EventEmitter');
+      }
+      for (var ancestor = parent; ancestor; ancestor = ancestor._parent) {
+        if (ancestor === this) {
+          throw TypeError('parent must not be a descendant of emitter');
+        }
+      }
+      this._parent = parent || undefined;
+      return this;
+    };
+
+    /*
+     * Get parent emitter
+     *
+     * @return {EventEmitter} Parent emitter, null if none
+     */
+    EventEmitter.prototype.getParent          = function () {
+      return this._parent || null;
+    };
+
+    /*
+     * Declare schema of given event type payload, checked on emit (see setValidation)
+     * Schema is either a validator function, applied with emitted arguments and returning false or an error message when invalid,
+     * or a JSON-Schema-like descriptor of first argument, or a list of descriptors of each argument
+     *
+     * @param mixed                   event  Event type
+     * @param {Function|Object|Array} schema Schema, null to remove
+     *
+     * @throw {TypeError} If schema is not a function, an object or an array.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setSchema          = function (event, schema) {
+      if (schema !== null && typeof schema !== 'function' && (!schema || typeof schema !== 'object')) {
+        throw TypeError('schema must be a function, an object or an array');
+      }
+      this._schemas = this._schemas || createMap();
+      if (schema === null) {
+        this._schemas.delete(event);
+      } else {
+        this._schemas.set(event, schema);
+      }
+      return this;
+    };
+
+    /*
+     * Set validation mode of emitted payloads: throw a ValidationError, emit it as 'error' event, or skip validation
+     *
+     * @param {String|Boolean} mode 'throw', 'emit' or false
+     *
+     * @throw {TypeError} If mode is not valid.
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setValidation      = function (mode) {
+      if (mode !== 'throw' && mode !== 'emit' && mode !== false) {
+        throw TypeError('mode must be \'throw\', \'emit\' or false');
+      }
+      this._validation = mode;
+      return this;
+    };
+
+    /*
+     * Enable or disable tracing of emit, addListener and removeListener calls (see Timeline)
+     *
+     * @param {Boolean|Timeline} enabled Record in EventEmitter.timeline, or in given timeline
+     *
+     * @return {EventEmitter} Fluent interface
+     */
+    EventEmitter.prototype.setTracing         = function (enabled) {
+      this._tracing = enabled instanceof Timeline ? enabled : !!enabled;
+      return this;
+    };
+
+    /*
+     * Get all listeners of given event type, including wrappers (once, namespaces, priority)
+     * When namespaces are enabled, get only listeners of given namespaces ('resize.myPlugin')
+     *
+     * @param {String} event Event type
+     *
+     * @return {Array} List of stored listeners functions
+     */
+    EventEmitter.prototype.rawListeners       = function (event) {
+        var parsed      = parse(this, event)
+            , listeners = lookup(this, parsed.event)
+        ;
+        if (listeners && parsed.namespaces.length) {
+            return listeners.filter(function (listener) {
+                return matches(listener, undefined, parsed.namespaces);
+            });
+        }
+        return listeners ?
+            Array.apply(this, listeners) : // fast way to make array copy
+            []
+        ;
+    };
+
+    /*
+     * Get all listeners of given event type
+     * When namespaces are enabled, get only listeners of given namespaces ('resize.myPlugin')
+     *
+     * @param {String} event Event type
+     *
+     * @return {Array} List of listeners functions
+     */
+    EventEmitter.prototype.listeners          = function (event) {
+        return this.rawListeners(event).map(unwrap);
+    };
+
+    /*
+     * Count listeners of given event type
+     *
+     * @param {String} event Event type
+     *
+     * @return {Integer} Count of event type listener(s)
+     */
+    EventEmitter.prototype.listenerCount      = function (event) {
+        return this.rawListeners(event).length;
+    };
+
+    /*
+     * Get all event types (and wildcard patterns) having listeners, including Symbols
+     *
+     * @return {Array} List of event types
+     */
+    EventEmitter.prototype.eventNames         = function () {
+        var emitter = this;
+        return types(this).filter(function (event) {
+            return lookup(emitter, event).length > 0;
+        });
+    };
+
+    /*
+     * Apply all listeners of given event type and wildcard listeners matching it, by priority (exact ones first)
+     * When capturing rejections, promises rejected by listeners are emitted as 'error' event
+     * Middlewares run first, they may rewrite or swallow event (see use), then payload is validated (see setSchema)
+     * Emissions of sticky event types are recorded, latched event types are emitted only once
+     * When tracing, emission is recorded once, before middlewares, with arguments previews and duration (see setTracing)
+     * Then emission bubbles up to parent emitter, if any, except internal and 'error' events (see setParent)
+     *
+     * @param {String} event  Event type
+     * @param mixed  arg... Optional, argument(s) passed to event listener(s)
+     *
+     * @return {Boolean} Was event emitted
+     */
+    EventEmitter.prototype.emit               = function (event, arg1, arg2, arg3, arg4/*[, arg5] ... */ ) {
+        var timeline = null;
+        if (this._traced) {
+            this._traced = false;
+        } else if (!this._piped) { // Already traced before middlewares
+            timeline = tracer(this);
+        }
+        if (timeline) {
+            var entry   = emission(timeline, this, arguments)
+                , start = now()
+            ;
+            this._traced = true; // Skip tracing once
+            try {
+                return (entry.emitted = EventEmitter.prototype.emit.apply(this, arguments));
+            } catch (thrown) {
+                entry.error = String(thrown && thrown.message || thrown);
+                throw thrown;
+            } finally {
+                entry.duration = now() - start;
+            }
+        }
+        if (this._piped) {
+            this._piped = false;
+        } else if (this._middlewares && this._middlewares.length) {
+            return pipe(this, event, Array.prototype.slice.call(arguments, 1));
+        }
+        if (this._schemas && this._schemas.has(event) && !valid(this, event, Array.prototype.slice.call(arguments, 1))) {
+            return false;
+        }
+        if (this._sticky && !record(this, event, arguments)) {
+            return false;
+        }
+        if (this._remotes && this._remotes.length) {
+            relay(this, arguments);
+        }
+        var listeners  = this._events.get(event)
+            , length   = listeners && listeners.length
+            , matched  = wildcards(this, event)
+            , bubbling = bubbles(this, arguments)
+            , index    = 0
+        ;
+        if (!length && !matched.length) {
+            if (event === 'error') {
+                var error = arg1;
+                if (this._strictErrors && !(error instanceof Error)) {
+                    error         = new Error('Unhandled error.' + (arguments.length > 1 ? ' (' + String(arg1) + ')' : ''));
+                    error.context = arg1;
+                }
+                if (this.domain) {
+                    if (!error)
+                        error = new Error('Uncaught, unspecified "error" event.');
+                    error.domainEmitter = this;
+                    error.domain        = this.domain;
+                    error.domainThrown  = false;
+                    this.domain.emit('error', error);
+                } else {
+                    throw error;
+                }
+            }
+            return bubbling && this._parent.emit.apply(this._parent, arguments);
+        }
+        // Copy listeners, they may be added or removed while emitting
+        listeners = length ? listeners.slice() : [];
+        var capturing    = this._captureRejections !== undefined ? this._captureRejections : EventEmitter.captureRejections
+            , cancelable = arg1 instanceof EmitterEvent && arguments.length === 2
+        ;
+        if (matched.length || capturing || cancelable) {
+            for (var j = 0, count = arguments.length, matchedArgs = new Array(count); j < count; j++) {
+                matchedArgs[j] = arguments[j];
+            }
+            // Exact and wildcard listeners by priority, wildcard listeners get event type as first argument
+            var queue    = ordered(listeners, matched)
+                , params = matchedArgs.slice(1)
+            ;
+            for (; index < queue.length && !(cancelable && arg1._stopped); index++) { // Cancelable event may stop propagation
+                var result = queue[index].listener.apply(this, queue[index].wildcard ? matchedArgs : params);
+                capturing && capture(this, result, event, params);
+            }
+            bubbling && this._parent.emit.apply(this._parent, arguments);
+            return true;
+        }
+        switch (arguments.length) {
+            case 1:
+                while (index < length) {
+                    listeners[index] && listeners[index++].call(this);
+                }
+            break;
+            case 2:
+                while (index < length) {
+                    listeners[index] && listeners[index++].call(this, arg1);
+                }
+            break;
+            case 3:
+                while (index < length) {
+                    listeners[index] && listeners[index++].call(this, arg1, arg2);
+                }
+            break;
+            case 4:
+                 while (index < length) {
+                    listeners[index] && listeners[index++].call(this, arg1, arg2, arg3);
+                }
+            break;
+            case 5:
+                while (index < length) {
+                    listeners[index] && listeners[index++].call(this, arg1, arg2, arg3, arg4);
+                }
+            break;
+            default:
+                for (var i = 1, len = arguments.length, args = new Array(len - 1); i < len; i++) {
+                    args[i - 1] = arguments[i];
+                }
+                while (index < length) {
+                    listeners[index] && listeners[index++].apply(this, args);
+                }
+        }
+        bubbling && this._parent.emit.apply(this._parent, arguments);
+        return true;
+    };
+
+    /*
+     * Apply all listeners of given event type with a cancelable event object (see EmitterEvent),
+     * then bubble up to parent emitters (see setParent)
+     * Any listener may prevent default action, or stop next listeners from being applied
+     *
+     * @param {String} event  Event type
+     * @param mixed    detail Optional, event detail
+     *
+     * @return {Boolean} Was default prevented
+     */
+    EventEmitter.prototype.emitCancelable     = function (event, detail) {
+        var emitted = new EmitterEvent(event, this, detail);
+        for (var current = this; current && !emitted._cancelBubble; current = current._parent) {
+            emitted.currentTarget = current;
+            current.emit(event, emitted);
+        }
+        emitted.currentTarget = null;
+        return emitted.defaultPrevented;
+    };
+
+    /*
+     * Apply all listeners of given event type, awaiting promises they return
+     * Listeners are awaited in series, or in parallel when enabled (see setParallel)
+     * Like emit, middlewares run first (see use), emissions of sticky event types are recorded,
+     * latched event types are emitted only once, and emission bubbles up to parent emitter once listeners are settled
+     * When tracing, emission is recorded like with emit, duration lasting until listeners are settled
+     *
+     * @param {String} event  Event type
+     * @param mixed  arg... Optional, argument(s) passed to event listener(s)
+     *
+     * @return {Promise} Resolve with was event emitted, reject if a listener or middleware throws or rejects,
+     *   or if payload is invalid
+     */
+    EventEmitter.prototype.emitAsync          = function (event /*[, arg1] ... */) {
+        var emitter    = this
+            , args     = Array.prototype.slice.call(arguments)
+            , parallel = this._parallel !== undefined ? this._parallel : EventEmitter.defaultParallel
+            , piped    = this._piped
+            , traced   = this._traced
+            , bubbling = bubbles(this, arguments)
+            , calls    = []
+            , timeline = null
+            , settled
+        ;
+        args.shift();
+        if (traced) {
+            this._traced = false;
+        } else if (!piped) { // Already traced before middlewares
+            timeline = tracer(this);
+        }
+        if (timeline) {
+            var entry   = emission(timeline, this, arguments)
+                , start = now()
+            ;
+            this._traced = true; // Skip tracing once
+            return EventEmitter.prototype.emitAsync.apply(this, arguments).then(function (emitted) {
+                entry.duration = now() - start;
+                return (entry.emitted = emitted);
+            }, function (thrown) {
+                entry.duration = now() - start;
+                entry.error    = String(thrown && thrown.message || thrown);
+                throw thrown;
+            });
+        }
+        if (piped) {
+            this._piped = false;
+        } else if (this._middlewares && this._middlewares.length) {
+            try {
+                return Promise.resolve(pipe(this, event, args, EventEmitter.prototype.emitAsync));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        // Exact and wildcard listeners by priority, wildcard listeners get event type as first argument
+        ordered(this._events.get(event) || [], wildcards(this, event)).forEach(function (queued) {
+            calls.push(function () {
+                return queued.listener.apply(emitter, queued.wildcard ? [event].concat(args) : args);
+            });
+        });
+        if (!calls.length && !bubbling) { // Let emit handle unhandled 'error' event
+            return new Promise(function (resolve) {
+                emitter._piped  = piped; // Middlewares already ran
+                emitter._traced = traced; // Already traced
+                resolve(emitter.emit.apply(emitter, [event].concat(args)));
+            });
+        }
+        if (this._schemas && this._schemas.has(event)) {
+            try {
+                if (!valid(this, event, args)) {
+                    return Promise.resolve(false);
+                }
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        if (this._sticky && !record(this, event, arguments)) {
+            return Promise.resolve(false);
+        }
+        if (this._remotes && this._remotes.length) {
+            relay(this, arguments);
+        }
+        if (parallel) {
+            settled = Promise.all(calls.map(function (call) {
+                return new Promise(function (resolve) {
+                    resolve(call());
+                });
+            }));
+        } else {
+            settled = calls.reduce(function (promise, call) {
+                return promise.then(function () {
+                    return call();
+                });
+            }, Promise.resolve());
+        }
+        return settled.then(function () {
+            if (!bubbling) {
+                return true;
+            }
+            // Bubble up once listeners are settled
+            return emitter._parent.emitAsync.apply(emitter._parent, [event].concat(args)).then(function (emitted) {
+                return calls.length > 0 || emitted;
+            });
+        });
+    };
+
+    /*
+     * Count listeners of an event type in given emitter
+     *
+     * @param {EventEmitter} emitter EventEmitter to check
+     * @param {String}       event   Event type
+     *
+     * @return {Integer} Count of event type listener(s)
+     *
+     * @todo Get rid of this helper?
+     */
+    EventEmitter.listenerCount                = function (emitter, event) {
+        if (typeof emitter.listeners !== 'function') {
+            throw TypeError('emitter must be compatible with EventEmitter interface');
+        }
+        return emitter.listeners(event).length;
+    };
+
+    /*
+     * Wait for next emission of an event type in given emitter
+     *
+     * @param {EventEmitter} emitter EventEmitter to listen
+     * @param {String}       event   Event type
+     * @param {Object}       options Optional, { signal: AbortSignal } to cancel waiting
+     *
+     * @return {Promise} Resolve with emitted arguments, reject if 'error' is emitted first or on abort
+     */
+    EventEmitter.once                         = function (emitter, event, options) {
+        var signal = options && options.signal;
+        return new Promise(function (resolve, reject) {
+            if (signal && signal.aborted) {
+                return reject(abortError(signal));
+            }
+            var settled    = false
+                , resolver = function () {
+                    cleanup();
+                    resolve(Array.prototype.slice.call(arguments));
+                }
+                , rejecter = function (error) {
+                    cleanup();
+                    reject(error);
+                }
+                , aborter  = function () {
+                    cleanup();
+                    reject(abortError(signal));
+                }
+                , cleanup  = function () {
+                    settled = true;
+                    emitter.removeListener(event, resolver);
+                    if (event !== 'error') {
+                        emitter.removeListener('error', rejecter);
+                    }
+                    if (signal) {
+                        signal.removeEventListener('abort', aborter);
+                    }
+                }
+            ;
+            // Event listener comes last, sticky events are replayed as soon as it is added
+            if (signal) {
+                signal.addEventListener('abort', aborter);
+            }
+            if (event !== 'error') {
+                emitter.once('error', rejecter);
+            }
+            if (!settled) { // Sticky 'error' may already have rejected
+                emitter.once(event, resolver);
+            }
+        });
+    };
+
+    /*
+     * Iterate over emissions of an event type in given emitter
+     * Emissions arriving between next() calls are buffered
+     *
+     * @param {EventEmitter} emitter EventEmitter to listen
+     * @param {String}       event   Event type
+     * @param {Object}       options Optional, { signal: AbortSignal } to stop iterating
+     *
+     * @return {AsyncIterator} Yield emitted arguments, throw if 'error' is emitted or on abort
+     */
+    EventEmitter.on                           = function (emitter, event, options) {
+        var signal     = options && options.signal
+            , buffer   = [] // Unconsumed emissions
+            , pending  = [] // Unresolved next() calls
+            , error    = null
+            , finished = false
+            , listener = function () {
+                var args = Array.prototype.slice.call(arguments);
+                if (pending.length) {
+                    pending.shift().resolve({ value : args, done : false });
+                } else {
+                    buffer.push(args);
+                }
+            }
+            , rejecter = function (err) {
+                if (pending.length) {
+                    pending.shift().reject(err);
+                } else {
+                    error = err;
+                }
+                iterator.return();
+            }
+            , aborter  = function () {
+                rejecter(abortError(signal));
+            }
+            , iterator = {
+                next    : function () {
+                    if (buffer.length) {
+                        return Promise.resolve({ value : buffer.shift(), done : false });
+                    }
+                    if (error) {
+                        var err = error;
+                        error   = null;
+                        return Promise.reject(err);
+                    }
+                    if (finished) {
+                        return Promise.resolve({ value : undefined, done : true });
+                    }
+                    return new Promise(function (resolve, reject) {
+                        pending.push({ resolve : resolve, reject : reject });
+                    });
+                }
+                , return : function () {
+                    emitter.removeListener(event, listener);
+                    emitter.removeListener('error', rejecter);
+                    if (signal) {
+                        signal.removeEventListener('abort', aborter);
+                    }
+                    finished = true;
+                    while (pending.length) {
+                        pending.shift().resolve({ value : undefined, done : true });
+                    }
+                    return Promise.resolve({ value : undefined, done : true });
+                }
+                , throw  : function (err) {
+                    if (!(err instanceof Error)) {
+                        throw TypeError('err must be an Error');
+                    }
+                    rejecter(err);
+                    return iterator.next();
+                }
+            }
+        ;
+        if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+            iterator[Symbol.asyncIterator] = function () {
+                return this;
+            };
+        }
+        if (signal && signal.aborted) {
+            error    = abortError(signal);
+            finished = true;
+            return iterator;
+        }
+        // Event listener comes last, sticky events are replayed as soon as it is added
+        if (signal) {
+            signal.addEventListener('abort', aborter);
+        }
+        if (event !== 'error') {
+            emitter.on('error', rejecter);
+        }
+        emitter.on(event, listener);
+        return iterator;
+    };
 
     /*** Alias EventEmitter prototype methods ***/
 
-    EventEmitter.prototype.on                 = EventEmitter.prototype.addListener;
-    EventEmitter.prototype.off                = EventEmitter.prototype.removeListener;
+    EventEmitter.prototype.on                 = EventEmitter.prototype.addListener;
+    EventEmitter.prototype.off                = EventEmitter.prototype.removeListener;
+
+    /*** EmitterEvent constructor ***/
+
+    /*
+     * EmitterEvent, cancelable event object passed to listeners by emitCancelable
+     * Target is the emitter event originates from, currentTarget the one applying listeners while bubbling
+     *
+     * @constructor
+     *
+     * @param {String}       type   Event type
+     * @param {EventEmitter} target Emitter of event
+     * @param mixed          detail Optional, event detail
+     */
+    function EmitterEvent (type, target, detail) {
+        this.type             = type;
+        this.target           = target;
+        this.currentTarget    = target;
+        this.timeStamp        = new Date().getTime();
+        this.detail           = detail;
+        this.defaultPrevented = false;
+        this._stopped         = false;
+        this._cancelBubble    = false;
+    }
+
+    /*** Define EmitterEvent prototype methods ***/
+
+    /*
+     * Prevent default action of event, emitCancelable then returns true
+     */
+    EmitterEvent.prototype.preventDefault     = function () {
+        this.defaultPrevented = true;
+    };
+
+    /*
+     * Stop event from bubbling up to parent emitters, listeners of current emitter are still applied
+     */
+    EmitterEvent.prototype.stopPropagation    = function () {
+        this._cancelBubble = true;
+    };
+
+    /*
+     * Stop next listeners (wildcard listeners included) from being applied, and event from bubbling
+     */
+    EmitterEvent.prototype.stopImmediatePropagation = function () {
+        this._stopped = true;
+        this._cancelBubble = true;
+    };
+
+    /*** Expose EmitterEvent constructor ***/
+
+    EventEmitter.EmitterEvent                 = EmitterEvent;
+
+    /*** Subscription constructor ***/
+
+    /*
+     * Subscription, handle removing a listener (see subscribe)
+     * Disposable with using declarations where Symbol.dispose is supported
+     *
+     * @constructor
+     *
+     * @param {EventEmitter} emitter  EventEmitter instance
+     * @param {String}       event    Event type
+     * @param {Function}     listener Listener function
+     * @param {Function}     stored   Optional, stored listener wrapper to remove, default to listener
+     */
+    function Subscription (emitter, event, listener, stored) {
+        this.emitter  = emitter;
+        this.event    = event;
+        this.listener = listener;
+        this.closed   = false;
+        this._stored  = arguments.length > 3 ? stored : listener;
+        if (!this._stored) { // Listener removed itself while sticky events were replayed
+            this.closed = true;
+        }
+    }
+
+    /*** Define Subscription prototype methods ***/
+
+    /*
+     * Remove listener, only once
+     *
+     * @return {Subscription} Fluent interface
+     */
+    Subscription.prototype.unsubscribe        = function () {
+        if (!this.closed) {
+            this.closed = true;
+            this.emitter.removeListener(this.event, this._stored);
+        }
+        return this;
+    };
+
+    if (typeof Symbol === 'function' && Symbol.dispose) {
+        Subscription.prototype[Symbol.dispose] = function () {
+            this.unsubscribe();
+        };
+    }
+
+    /*** CompositeSubscription constructor ***/
+
+    /*
+     * CompositeSubscription, collect subscriptions (or teardown functions) to unsubscribe them all at once
+     * Handles added once closed are unsubscribed immediately
+     *
+     * @constructor
+     *
+     * @param {Array} handles Optional, subscriptions or teardown functions
+     */
+    function CompositeSubscription (handles) {
+        this.closed   = false;
+        this._handles = [];
+        for (var index = 0; handles && index < handles.length; index++) {
+            this.add(handles[index]);
+        }
+    }
+
+    /*
+     * Unsubscribe handle
+     *
+     * @param {Subscription|Function} handle Subscription or teardown function
+     */
+    function release (handle) {
+        if (typeof handle === 'function') {
+            handle();
+        } else {
+            handle.unsubscribe();
+        }
+    }
+
+    /*** Define CompositeSubscription prototype methods ***/
+
+    /*
+     * Add subscription or teardown function
+     *
+     * @param {Subscription|Function} handle Object with unsubscribe method, or teardown function
+     *
+     * @throw {TypeError} If handle is neither a function nor has an unsubscribe method.
+     *
+     * @return {CompositeSubscription} Fluent interface
+     */
+    CompositeSubscription.prototype.add       = function (handle) {
+        if (typeof handle !== 'function' && !(handle && typeof handle.unsubscribe === 'function')) {
+            throw TypeError('handle must be a function or have an unsubscribe method');
+        }
+        if (this.closed) {
+            release(handle);
+        } else {
+            this._handles.push(handle);
+        }
+        return this;
+    };
+
+    /*
+     * Remove subscription or teardown function, without unsubscribing it
+     *
+     * @param {Subscription|Function} handle Subscription or teardown function
+     *
+     * @return {CompositeSubscription} Fluent interface
+     */
+    CompositeSubscription.prototype.remove    = function (handle) {
+        var index = this._handles.lastIndexOf(handle);
+        if (~index) {
+            this._handles.splice(index, 1);
+        }
+        return this;
+    };
+
+    /*
+     * Unsubscribe all handles in LIFO order, only once
+     * Every handle is unsubscribed even if one throws, first error is then rethrown
+     *
+     * @return {CompositeSubscription} Fluent interface
+     */
+    CompositeSubscription.prototype.unsubscribe = function () {
+        var failed = false
+            , error
+        ;
+        if (this.closed) {
+            return this;
+        }
+        this.closed = true;
+        while (this._handles.length) {
+            try {
+                release(this._handles.pop());
+            } catch (thrown) {
+                if (!failed) {
+                    failed = true;
+                    error  = thrown;
+                }
+            }
+        }
+        if (failed) {
+            throw error;
+        }
+        return this;
+    };
+
+    if (typeof Symbol === 'function' && Symbol.dispose) {
+        CompositeSubscription.prototype[Symbol.dispose] = function () {
+            this.unsubscribe();
+        };
+    }
+
+    /*** Expose Subscription constructors ***/
+
+    EventEmitter.Subscription                 = Subscription;
+    EventEmitter.CompositeSubscription        = CompositeSubscription;
+
+    /*** Timeline constructor ***/
+
+    /*
+     * Timeline, ring buffer of emitters activity records, oldest records are dropped when full
+     * Records are { seq, type, time, emitter, event, listeners[, listener][, args, emitted, duration, error] }
+     *
+     * @constructor
+     *
+     * @param {Integer} capacity Optional, maximum count of records, 1000 by default
+     */
+    function Timeline (capacity) {
+        if (capacity !== undefined && (typeof capacity !== 'number' || capacity < 1 || isNaN(capacity))) {
+            throw TypeError('capacity must be a positive number');
+        }
+        this.capacity = capacity || 1000;
+        this._records = [];
+        this._seq     = 0;
+    }
+
+    /*** Define Timeline prototype methods ***/
+
+    /*
+     * Add record, numbered in sequence
+     *
+     * @param {Object} entry Record
+     *
+     * @return {Object} Record
+     */
+    Timeline.prototype.record                 = function (entry) {
+        entry.seq = this._seq++;
+        this._records[entry.seq % this.capacity] = entry;
+        return entry;
+    };
+
+    /*
+     * Get records in order, [only those matching filter]
+     *
+     * @param {Object|Function} filter Optional, predicate or { type, emitter, event, since, until } properties to match
+     *
+     * @return {Array} Records
+     */
+    Timeline.prototype.query                  = function (filter) {
+        var start     = this._seq > this.capacity ? this._seq % this.capacity : 0
+            , records = this._records.slice(start).concat(this._records.slice(0, start))
+        ;
+        if (!filter) {
+            return records;
+        }
+        return records.filter(typeof filter === 'function' ? filter : function (entry) {
+            return (filter.type === undefined || entry.type === filter.type)
+                && (filter.emitter === undefined || entry.emitter === filter.emitter
+                    || entry.emitter === filter.emitter._traceId)
+                && (filter.event === undefined || entry.event === filter.event)
+                && (filter.since === undefined || entry.time >= filter.since)
+                && (filter.until === undefined || entry.time <= filter.until)
+            ;
+        });
+    };
+
+    /*
+     * Drop all records
+     *
+     * @return {Timeline} Fluent interface
+     */
+    Timeline.prototype.clear                  = function () {
+        this._records = [];
+        this._seq     = 0;
+        return this;
+    };
+
+    /*
+     * Get records for JSON.stringify
+     *
+     * @return {Array} Records
+     */
+    Timeline.prototype.toJSON                 = function () {
+        return this.query();
+    };
+
+    /*
+     * Dump records as JSON
+     *
+     * @param {Integer} space Optional, indentation
+     *
+     * @return {String} JSON
+     */
+    Timeline.prototype.dump                   = function (space) {
+        return JSON.stringify(this, null, space);
+    };
+
+    /*** Expose Timeline constructor and default timeline ***/
+
+    EventEmitter.Timeline                     = Timeline;
+    EventEmitter.timeline                     = new Timeline();
+
+    /*** Domain constructor ***/
+
+    /*
+     * Domain, group errors of emitters and callbacks
+     *
+     * @constructor
+     */
+    function Domain () {
+        EventEmitter.call(this);
+        this.members              = [];
+        EventEmitter.usingDomains = true;
+    }
+
+    inherits(Domain, EventEmitter);
+
+    /*** Default Domain properties ***/
+
+    Domain.active                             = null;
+
+    // Previously active domains
+    var domains                               = [];
+
+    /*
+     * Create a new domain
+     *
+     * @return {Domain} Domain instance
+     */
+    Domain.create                             = function () {
+        return new Domain();
+    };
+
+    /*** Define Domain prototype methods ***/
+
+    /*
+     * Make domain active, emitters created while active are added to it
+     *
+     * @return {Domain} Fluent interface
+     */
+    Domain.prototype.enter                    = function () {
+        domains.push(Domain.active);
+        Domain.active = this;
+        return this;
+    };
+
+    /*
+     * Restore previously active domain
+     *
+     * @return {Domain} Fluent interface
+     */
+    Domain.prototype.exit                     = function () {
+        if (Domain.active === this) {
+            Domain.active = domains.pop() || null;
+        }
+        return this;
+    };
+
+    /*
+     * Run function in domain, errors thrown are emitted as domain 'error' event
+     *
+     * @param {Function} fn  Function to run
+     * @param mixed    arg... Optional, argument(s) passed to function
+     *
+     * @return mixed Function result
+     */
+    Domain.prototype.run                      = function (fn /*[, arg1] ... */) {
+        var args = Array.prototype.slice.call(arguments, 1);
+        this.enter();
+        try {
+            return fn.apply(this, args);
+        } catch (error) {
+            this._error(error, { domainThrown : true });
+        } finally {
+            this.exit();
+        }
+    };
+
+    /*
+     * Add emitter to domain, its unhandled 'error' events are emitted on domain
+     *
+     * @param {EventEmitter} emitter Emitter to add
+     *
+     * @return {Domain} Fluent interface
+     */
+    Domain.prototype.add                      = function (emitter) {
+        if (emitter.domain === this) {
+            return this;
+        }
+        if (emitter.domain && typeof emitter.domain.remove === 'function') {
+            emitter.domain.remove(emitter);
+        }
+        emitter.domain = this;
+        this.members.push(emitter);
+        return this;
+    };
+
+    /*
+     * Remove emitter from domain
+     *
+     * @param {EventEmitter} emitter Emitter to remove
+     *
+     * @return {Domain} Fluent interface
+     */
+    Domain.prototype.remove                   = function (emitter) {
+        var index = this.members.indexOf(emitter);
+        if (~index) {
+            this.members.splice(index, 1);
+        }
+        if (emitter.domain === this) {
+            emitter.domain = null;
+        }
+        return this;
+    };
+
+    /*
+     * Bind callback to domain, errors thrown are emitted as domain 'error' event
+     *
+     * @param {Function} callback Callback to bind
+     *
+     * @return {Function} Bound callback
+     */
+    Domain.prototype.bind                     = function (callback) {
+        var domain  = this
+            , bound = function () {
+                domain.enter();
+                try {
+                    return callback.apply(this, arguments);
+                } catch (error) {
+                    domain._error(error, { domainThrown : true, domainBound : callback });
+                } finally {
+                    domain.exit();
+                }
+            }
+        ;
+        bound.domain = this;
+        return bound;
+    };
+
+    /*
+     * Intercept node style callback, first argument error is emitted as domain 'error' event
+     *
+     * @param {Function} callback Callback to intercept, called without error argument
+     *
+     * @return {Function} Intercepted callback
+     */
+    Domain.prototype.intercept                = function (callback) {
+        var domain = this;
+        return this.bind(function (error) {
+            if (error) {
+                return domain._error(error, { domainThrown : false, domainBound : callback });
+            }
+            return callback.apply(this, Array.prototype.slice.call(arguments, 1));
+        });
+    };
+
+    /*
+     * Decorate error and emit it as domain 'error' event
+     *
+     * @param {Error}  error      Error to emit
+     * @param {Object} properties Properties added to error
+     */
+    Domain.prototype._error                   = function (error, properties) {
+        if (error && typeof error === 'object') {
+            error.domain = this;
+            for (var key in properties) {
+                error[key] = properties[key];
+            }
+        }
+        this.emit('error', error);
+    };
+
+    /*** Expose Domain constructor ***/
+
+    EventEmitter.Domain                       = Domain;
+
+    /*** TargetEmitter constructor ***/
+
+    /*
+     * TargetEmitter, mirror DOM EventTarget events into an EventEmitter
+     * DOM listener of an event type is added with first emitter listener, removed with last one
+     *
+     * @constructor
+     *
+     * @param {EventTarget} target  DOM EventTarget to mirror
+     * @param {Object}      options Optional, EventEmitter options and
+     *   - detail {Boolean} Pass CustomEvent detail as first argument, event as second
+     */
+    function TargetEmitter (target, options) {
+        if (!target || typeof target.addEventListener !== 'function') {
+            throw TypeError('target must implement EventTarget interface');
+        }
+        EventEmitter.call(this, options);
+        this.target    = target;
+        this._detail   = !!(options && options.detail);
+        this._handlers = createMap();
+    }
+
+    inherits(TargetEmitter, EventEmitter);
+
+    /*
+     * Add DOM listener on target for given event type, if missing
+     *
+     * @param {TargetEmitter} emitter TargetEmitter instance
+     * @param mixed           event   Event type
+     */
+    function attach (emitter, event) {
+        event = parse(emitter, event).event;
+        if (typeof event !== 'string' || isPattern(event) || event === 'newListener' || event === 'removeListener'
+            || emitter._handlers.has(event)) {
+            return;
+        }
+        var handler = function (domEvent) {
+            if (emitter._detail) {
+                emitter.emit(event, domEvent.detail, domEvent);
+            } else {
+                emitter.emit(event, domEvent);
+            }
+        };
+        emitter._handlers.set(event, handler);
+        emitter.target.addEventListener(event, handler);
+    }
+
+    /*
+     * Remove DOM listeners on target of event types without emitter listeners
+     *
+     * @param {TargetEmitter} emitter TargetEmitter instance
+     */
+    function detach (emitter) {
+        emitter._handlers.forEach(function (handler, event) {
+            var listeners = lookup(emitter, event);
+            if (!listeners || !listeners.length) {
+                emitter._handlers.delete(event);
+                emitter.target.removeEventListener(event, handler);
+            }
+        });
+    }
+
+    /*** Define TargetEmitter prototype methods ***/
+
+    /*
+     * Add listener, and DOM listener on target for event type if missing
+     *
+     * @see EventEmitter.prototype.addListener
+     */
+    TargetEmitter.prototype.addListener       = function (event, listener, options) {
+        EventEmitter.prototype.addListener.call(this, event, listener, options);
+        attach(this, event);
+        return this;
+    };
+
+    /*
+     * Prepend listener, and DOM listener on target for event type if missing
+     *
+     * @see EventEmitter.prototype.prependListener
+     */
+    TargetEmitter.prototype.prependListener   = function (event, listener, options) {
+        EventEmitter.prototype.prependListener.call(this, event, listener, options);
+        attach(this, event);
+        return this;
+    };
+
+    /*
+     * Remove listener, and DOM listener on target if it was the last one of event type
+     *
+     * @see EventEmitter.prototype.removeListener
+     */
+    TargetEmitter.prototype.removeListener    = function (event, listener) {
+        EventEmitter.prototype.removeListener.apply(this, arguments);
+        detach(this);
+        return this;
+    };
+
+    /*
+     * Remove all listeners [of given event type], and matching DOM listeners on target
+     *
+     * @see EventEmitter.prototype.removeAllListeners
+     */
+    TargetEmitter.prototype.removeAllListeners = function (event) {
+        EventEmitter.prototype.removeAllListeners.apply(this, arguments);
+        detach(this);
+        return this;
+    };
+
+    TargetEmitter.prototype.on                = TargetEmitter.prototype.addListener;
+    TargetEmitter.prototype.off               = TargetEmitter.prototype.removeListener;
+
+    /*** EmitterTarget constructor ***/
+
+    /*
+     * EmitterTarget, expose an EventEmitter through DOM EventTarget interface
+     * Emitted arguments that are not an event are wrapped in a CustomEvent detail,
+     * as is for a single argument, as an array for many
+     *
+     * @constructor
+     *
+     * @param {EventEmitter} emitter EventEmitter to expose
+     */
+    function EmitterTarget (emitter) {
+        if (!emitter || typeof emitter.on !== 'function' || typeof emitter.removeListener !== 'function') {
+            throw TypeError('emitter must be compatible with EventEmitter interface');
+        }
+        this.emitter   = emitter;
+        this._handlers = createMap();
+    }
+
+    /*
+     * Create event passed to DOM listeners from emitted arguments
+     *
+     * @param {EmitterTarget} target EmitterTarget instance
+     * @param {String}        type   Event type
+     * @param {Array}         args   Emitted arguments
+     *
+     * @return {Event} Emitted event or CustomEvent like object
+     */
+    function toEvent (target, type, args) {
+        var event = args[0];
+        if (args.length === 1 && event && typeof event === 'object' && event.type === type
+            && typeof event.preventDefault === 'function') {
+            return event;
+        }
+        var detail = args.length > 1 ? args : args[0];
+        if (typeof CustomEvent === 'function') {
+            return new CustomEvent(type, { detail : detail });
+        }
+        return {
+            type               : type
+            , detail           : detail
+            , target           : target
+            , currentTarget    : target
+            , timeStamp        : new Date().getTime()
+            , defaultPrevented : false
+            , preventDefault   : function () {
+                this.defaultPrevented = true;
+            }
+        };
+    }
+
+    /*
+     * Create predicate checking if a stored listener is given handler (or its once wrapper)
+     *
+     * @param {Function} handler Handler function
+     *
+     * @return {Function} Predicate
+     */
+    function registered (handler) {
+        return function (listener) {
+            return listener === handler || listener.listener === handler;
+        };
+    }
+
+    /*
+     * Discard handler of given event type, once removed from emitter
+     *
+     * @param {EmitterTarget} target  EmitterTarget instance
+     * @param {String}        type    Event type
+     * @param {Function}      handler Handler function
+     */
+    function discard (target, type, handler) {
+        var handlers = target._handlers.get(type) || []
+            , index  = handlers.indexOf(handler)
+        ;
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+        if (!handlers.length) {
+            target._handlers.delete(type);
+        }
+    }
+
+    /*** Define EmitterTarget prototype methods ***/
+
+    /*
+     * Add DOM listener, listening emitter event type
+     *
+     * @param {String}          type     Event type
+     * @param {Function|Object} listener Listener function or object with handleEvent method
+     * @param {Object|Boolean}  options  Optional, { once: Boolean, capture: Boolean } or capture
+     */
+    EmitterTarget.prototype.addEventListener    = function (type, listener, options) {
+        if (!listener || (typeof listener !== 'function' && typeof listener.handleEvent !== 'function')) {
+            return;
+        }
+        var target     = this
+            , capture  = !!(options === true || options && options.capture)
+            , handlers = this._handlers.get(type) || []
+            , emitter  = this.emitter
+        ;
+        // Ignore duplicates, like DOM does, unless already removed from emitter
+        for (var index = 0, raw = emitter.rawListeners(type); index < handlers.length; index++) {
+            if (handlers[index].listener === listener && handlers[index].capture === capture
+                && raw.some(registered(handlers[index]))) {
+                return;
+            }
+        }
+        var once      = !!(options && options.once)
+            , handler = function () {
+                var event = toEvent(target, type, Array.prototype.slice.call(arguments));
+                if (once) { // Once wrapper already removed handler from emitter
+                    discard(target, type, handler);
+                }
+                if (typeof listener === 'function') {
+                    listener.call(target, event);
+                } else {
+                    listener.handleEvent(event);
+                }
+            }
+        ;
+        handler.listener = listener; // Allow removal from emitter side with original listener
+        handler.capture  = capture;
+        handlers.push(handler);
+        this._handlers.set(type, handlers);
+        if (once) {
+            emitter.once(type, handler);
+        } else {
+            emitter.on(type, handler);
+        }
+    };
+
+    /*
+     * Remove DOM listener, from emitter too
+     *
+     * @param {String}          type     Event type
+     * @param {Function|Object} listener Listener function or object with handleEvent method
+     * @param {Object|Boolean}  options  Optional, { capture: Boolean } or capture
+     */
+    EmitterTarget.prototype.removeEventListener = function (type, listener, options) {
+        var capture    = !!(options === true || options && options.capture)
+            , handlers = this._handlers.get(type) || []
+        ;
+        for (var index = handlers.length; index--;) {
+            if (handlers[index].listener === listener && handlers[index].capture === capture) {
+                this.emitter.removeListener(type, handlers[index]);
+                discard(this, type, handlers[index]);
+            }
+        }
+    };
+
+    /*
+     * Emit DOM event on emitter, event is passed as single argument
+     *
+     * @param {Event} event DOM event
+     *
+     * @return {Boolean} False if event default was prevented
+     */
+    EmitterTarget.prototype.dispatchEvent       = function (event) {
+        if (!event || typeof event.type !== 'string') {
+            throw TypeError('event must be an Event');
+        }
+        this.emitter.emit(event.type, event);
+        return !event.defaultPrevented;
+    };
+
+    /*
+     * Mirror DOM EventTarget into an EventEmitter
+     *
+     * @param {EventTarget} target  DOM EventTarget to mirror
+     * @param {Object}      options Optional, TargetEmitter options
+     *
+     * @return {TargetEmitter} EventEmitter instance
+     */
+    EventEmitter.fromEventTarget              = function (target, options) {
+        return new TargetEmitter(target, options);
+    };
+
+    /*
+     * Expose EventEmitter through DOM EventTarget interface
+     *
+     * @param {EventEmitter} emitter EventEmitter to expose
+     *
+     * @return {EmitterTarget} EventTarget instance
+     */
+    EventEmitter.toEventTarget                = function (emitter) {
+        return new EmitterTarget(emitter);
+    };
+
+    /*** Expose EventTarget adapters constructors ***/
+
+    EventEmitter.TargetEmitter                = TargetEmitter;
+    EventEmitter.EmitterTarget                = EmitterTarget;
+
+    /*** RemoteConnection constructor ***/
+
+    // Wire format protocol name
+    var PROTOCOL                              = 'EventEmitter';
+
+    /*
+     * RemoteConnection, forward events of an emitter over a postMessage port (Worker, iframe, MessagePort...)
+     * Each side connects its own emitter, events emitted on one side are emitted on the other
+     * Emits 'disconnect' when either side disconnects, 'error' when a message can't be deserialized
+     * or when a local emission can't be forwarded (arguments not structured-clone safe), it is then skipped
+     * Those errors are ignored without 'error' listeners on connection, they never throw from emitter
+     * Forwarding does not add listeners to emitter, listener counts, eventNames and emit results are unchanged
+     *
+     * Wire format, messages without protocol property are ignored:
+     *   { protocol: 'EventEmitter', version: 1, type: 'emit', event: String, args: Array }
+     *   { protocol: 'EventEmitter', version: 1, type: 'disconnect' }
+     *
+     * @constructor
+     *
+     * @param {EventEmitter} emitter EventEmitter to connect
+     * @param {Object}       port    Object with postMessage method
+     * @param {Object}       options Optional, configuration
+     *   - forward      {Array|Function} Event types (or predicate) sent to remote side, all but internal and 'error' by default
+     *   - accept       {Array|Function} Event types (or predicate) accepted from remote side, all by default
+     *   - validate     {Boolean}        Check arguments are structured-clone safe before sending, true by default
+     *   - receiver     {Object}         Object receiving 'message' events, port by default (window for iframe)
+     *   - targetOrigin {String}         postMessage target origin, for windows
+     *   - origin       {String}         Accepted message event origin, for windows
+     *
+     * @throw {TypeError} If emitter is not an EventEmitter or port has no postMessage method
+     */
+    function RemoteConnection (emitter, port, options) {
+        if (!(emitter instanceof EventEmitter)) {
+            throw TypeError('emitter must be an EventEmitter');
+        }
+        if (!port || typeof port.postMessage !== 'function') {
+            throw TypeError('port must implement postMessage');
+        }
+        options = options || {};
+        EventEmitter.call(this);
+        this.emitter       = emitter;
+        this.port          = port;
+        this.connected     = true;
+        this._forward      = predicate(options.forward, ['newListener', 'removeListener', 'error']);
+        this._accept       = predicate(options.accept, []);
+        this._validate     = options.validate !== false;
+        this._targetOrigin = options.targetOrigin;
+        this._unlisten     = [];
+        var connection     = this
+            , receiver     = options.receiver || port
+            , incoming     = null // Received emission, must not be sent back
+        ;
+        this._forwarder    = function (event) {
+            var args = Array.prototype.slice.call(arguments, 1);
+            if (incoming && incoming.event === event && incoming.args.length === args.length
+                && incoming.args.every(function (arg, index) { return arg === args[index]; })) {
+                incoming = null;
+                return;
+            }
+            if (connection._forward(event)) {
+                // Never throw from emitter emit, report unsafe arguments through connection instead
+                try {
+                    connection.send(event, args);
+                } catch (error) {
+                    if (connection.listenerCount('error')) {
+                        connection.emit('error', error);
+                    }
+                }
+            }
+        };
+        (emitter._remotes = emitter._remotes || []).push(this._forwarder);
+        this._unlisten.push(listen(receiver, 'message', function (data, message) {
+            if (!data || data.protocol !== PROTOCOL
+                || (message && options.origin && message.origin !== options.origin)
+                || (message && receiver !== port && message.source && message.source !== port)) {
+                return;
+            }
+            if (data.type === 'disconnect') {
+                return connection._close();
+            }
+            if (data.type === 'emit' && connection._accept(data.event)) {
+                incoming = { event : data.event, args : data.args || [] };
+                try {
+                    emitter.emit.apply(emitter, [data.event].concat(incoming.args));
+                } finally {
+                    incoming = null;
+                }
+            }
+        }));
+        this._unlisten.push(listen(receiver, 'messageerror', function (data, message) {
+            if (connection.listenerCount('error')) {
+                connection.emit('error', message || data);
+            }
+        }));
+        this._unlisten.push(listen(port, 'close', function () {
+            connection._close();
+        }));
+    }
+
+    inherits(RemoteConnection, EventEmitter);
+
+    /*
+     * Create event types filter
+     *
+     * @param {Array|Function} filter  Optional, accepted event types or predicate
+     * @param {Array}          ignored Event types ignored by default
+     *
+     * @return {Function} Predicate
+     */
+    function predicate (filter, ignored) {
+        if (typeof filter === 'function') {
+            return filter;
+        }
+        return function (event) {
+            return filter ? filter.indexOf(event) !== -1 : ignored.indexOf(event) === -1;
+        };
+    }
+
+    /*
+     * Listen to port event, DOM or node style
+     *
+     * @param {Object}   receiver Port receiving events
+     * @param {String}   type     Event type
+     * @param {Function} handler  Handler called with message data and event (DOM only)
+     *
+     * @return {Function} Remove listener
+     */
+    function listen (receiver, type, handler) {
+        var listener;
+        if (typeof receiver.addEventListener === 'function') {
+            listener = function (event) {
+                handler(event && event.data, event);
+            };
+            receiver.addEventListener(type, listener);
+            if (type === 'message' && typeof receiver.start === 'function') {
+                receiver.start(); // MessagePort needs to be started when using addEventListener
+            }
+            return function () {
+                receiver.removeEventListener(type, listener);
+            };
+        }
+        if (typeof receiver.on === 'function') {
+            listener = function (data) {
+                handler(data);
+            };
+            receiver.on(type, listener);
+            return function () {
+                receiver.removeListener(type, listener);
+            };
+        }
+        return function () {};
+    }
+
+    /*
+     * Get path of first value that can't be structured-cloned faithfully
+     * Functions, Symbols and non plain objects (DOM nodes, class instances) are not safe
+     *
+     * @param mixed  value Value to check
+     * @param {String} path  Path of value
+     * @param {Array}  seen  Already checked objects
+     *
+     * @return {String} Path of unsafe value, undefined if safe
+     */
+    function uncloneable (value, path, seen) {
+        var type = typeof value;
+        if (type === 'function' || type === 'symbol') {
+            return path;
+        }
+        if (value === null || type !== 'object' || seen.indexOf(value) !== -1) {
+            return;
+        }
+        seen.push(value);
+        var prototype = Object.getPrototypeOf(value)
+            , result
+        ;
+        if (Array.isArray(value)) {
+            for (var index = 0; index < value.length && !result; index++) {
+                result = uncloneable(value[index], path + '[' + index + ']', seen);
+            }
+            return result;
+        }
+        if (typeof Map === 'function' && value instanceof Map) {
+            value.forEach(function (item, key) {
+                result = result || uncloneable(key, path + '.<key>', seen) || uncloneable(item, path + '.<value>', seen);
+            });
+            return result;
+        }
+        if (typeof Set === 'function' && value instanceof Set) {
+            value.forEach(function (item) {
+                result = result || uncloneable(item, path + '.<value>', seen);
+            });
+            return result;
+        }
+        if (value instanceof Date || value instanceof RegExp || value instanceof Error
+            || value instanceof Boolean || value instanceof Number || value instanceof String
+            || (typeof ArrayBuffer === 'function' && (value instanceof ArrayBuffer || ArrayBuffer.isView(value)))
+            || (typeof Blob === 'function' && value instanceof Blob)) {
+            return;
+        }
+        if (prototype !== Object.prototype && prototype !== null) {
+            return path;
+        }
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key) && !result) {
+                result = uncloneable(value[key], path + '.' + key, seen);
+            }
+        }
+        return result;
+    }
+
+    /*
+     * Get path of first value that can't be JSON serialized faithfully (localStorage fallback)
+     * Only strings, finite numbers, booleans, null, arrays and plain objects are safe
+     *
+     * @param mixed  value Value to check
+     * @param {String} path  Path of value
+     * @param {Array}  seen  Objects of current path, to detect cycles
+     *
+     * @return {String} Path of unsafe value, undefined if safe
+     */
+    function unserializable (value, path, seen) {
+        var type = typeof value;
+        if (value === null || type === 'string' || type === 'boolean' || (type === 'number' && isFinite(value))) {
+            return;
+        }
+        if (type !== 'object' || seen.indexOf(value) !== -1) {
+            return path;
+        }
+        var prototype = Object.getPrototypeOf(value)
+            , result
+        ;
+        if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+            return path;
+        }
+        seen.push(value);
+        if (Array.isArray(value)) {
+            for (var index = 0; index < value.length && !result; index++) {
+                result = unserializable(value[index], path + '[' + index + ']', seen);
+            }
+        } else {
+            for (var key in value) {
+                if (Object.prototype.hasOwnProperty.call(value, key) && !result) {
+                    result = unserializable(value[key], path + '.' + key, seen);
+                }
+            }
+        }
+        seen.pop();
+        return result;
+    }
+
+    /*** Define RemoteConnection prototype methods ***/
+
+    /*
+     * Send event to remote side, without emitting it locally
+     *
+     * @param {String} event Event type
+     * @param {Array}  args  Optional, event arguments
+     *
+     * @throw {TypeError} If an argument is not structured-clone safe
+     * @throw {Error}     If connection is disconnected
+     *
+     * @return {RemoteConnection} Fluent interface
+     */
+    RemoteConnection.prototype.send           = function (event, args) {
+        if (!this.connected) {
+            throw Error('connection is disconnected');
+        }
+        args = args || [];
+        var path = this._validate && uncloneable(args, 'arguments', []);
+        if (path) {
+            throw TypeError(path + ' of "' + event + '" event is not structured-clone safe');
+        }
+        this._post({ protocol : PROTOCOL, version : 1, type : 'emit', event : event, args : args });
+        return this;
+    };
+
+    /*
+     * Disconnect both sides, emitters are left untouched
+     *
+     * @return {RemoteConnection} Fluent interface
+     */
+    RemoteConnection.prototype.disconnect     = function () {
+        if (this.connected) {
+            try {
+                this._post({ protocol : PROTOCOL, version : 1, type : 'disconnect' });
+            } catch (error) {} // Port may already be closed
+            this._close();
+        }
+        return this;
+    };
+
+    /*
+     * Post message through port
+     *
+     * @param {Object} message Wire format message
+     */
+    RemoteConnection.prototype._post          = function (message) {
+        if (this._targetOrigin !== undefined) {
+            this.port.postMessage(message, this._targetOrigin);
+        } else {
+            this.port.postMessage(message);
+        }
+    };
+
+    /*
+     * Stop forwarding events and emit 'disconnect'
+     */
+    RemoteConnection.prototype._close         = function () {
+        if (!this.connected) {
+            return;
+        }
+        this.connected = false;
+        this.emitter._remotes.splice(this.emitter._remotes.indexOf(this._forwarder), 1);
+        while (this._unlisten.length) {
+            this._unlisten.pop()();
+        }
+        this.emit('disconnect');
+    };
+
+    /*
+     * Connect emitter to a remote emitter over a postMessage port
+     *
+     * @param {EventEmitter} emitter EventEmitter to connect
+     * @param {Object}       port    Object with postMessage method (Worker, MessagePort, window...)
+     * @param {Object}       options Optional, RemoteConnection options
+     *
+     * @return {RemoteConnection} Connection
+     */
+    EventEmitter.connect                      = function (emitter, port, options) {
+        return new RemoteConnection(emitter, port, options);
+    };
+
+    /*** Expose RemoteConnection constructor ***/
+
+    EventEmitter.RemoteConnection             = RemoteConnection;
+
+    /*** BroadcastEmitter constructor ***/
+
+    /*
+     * BroadcastEmitter, emit events in every same-origin tab (BroadcastChannel or localStorage fallback)
+     * Listeners can identify emitting tab with emitter.sender, own tab id being emitter.id
+     * Tabs elect a leader (oldest tab), leader events are only handled by leader tab, 'leader' is emitted on election
+     *
+     * @constructor
+     *
+     * @param {String} name    Channel name, tabs using same name share events
+     * @param {Object} options Optional, EventEmitter options and
+     *   - local        {Boolean}        Deliver emitted events to local tab too, true by default
+     *   - events       {Array|Function} Event types (or predicate) broadcasted, all but internal events by default
+     *   - leaderEvents {Array}          Event types only handled by leader tab
+     *   - heartbeat    {Integer}        Leader election heartbeat interval in ms, 1000 by default
+     *   - storage      {Storage}        localStorage used as fallback, global one by default (JSON safe arguments only)
+     *   - window       {Window}         Window receiving 'storage' events, global one by default
+     *
+     * @throw {Error} If neither BroadcastChannel nor localStorage is available
+     */
+    function BroadcastEmitter (name, options) {
+        options = options || {};
+        EventEmitter.call(this, options);
+        var emitter         = this;
+        this.name           = String(name);
+        this.id             = new Date().getTime().toString(36) + '-' + Math.random().toString(36).slice(2);
+        this.sender         = null;
+        this.leader         = null;
+        this._local         = options.local !== false;
+        this._broadcast     = predicate(options.events, ['newListener', 'removeListener', 'error', 'leader']);
+        this._leaderEvents  = options.leaderEvents || [];
+        this._heartbeat     = options.heartbeat || 1000;
+        this._peers         = {};
+        this._ready         = false;
+        this._transport     = transport(this.name, options, function (data) {
+            if (data && data.protocol === PROTOCOL && data.sender !== emitter.id) {
+                receive(emitter, data);
+            }
+        });
+        this._timer         = setInterval(function () {
+            tick(emitter);
+        }, this._heartbeat);
+        this._post({ type : 'hello' });
+    }
+
+    inherits(BroadcastEmitter, EventEmitter);
+
+    /*
+     * Open broadcast transport, BroadcastChannel or localStorage 'storage' events
+     *
+     * @param {String}   name    Channel name
+     * @param {Object}   options BroadcastEmitter options
+     * @param {Function} handler Handler called with received messages
+     *
+     * @throw {Error} If neither BroadcastChannel nor localStorage is available
+     *
+     * @return {Object} Transport with post and close methods, check method getting path of unsafe value and format name
+     */
+    function transport (name, options, handler) {
+        var storage = options.storage || (typeof localStorage === 'object' ? localStorage : null)
+            , target  = options.window || (typeof window === 'object' ? window : null)
+            , key     = PROTOCOL + ':' + name
+            , channel
+            , listener
+        ;
+        if (typeof BroadcastChannel === 'function' && !options.storage) {
+            channel = new BroadcastChannel(name);
+            channel.onmessage = function (event) {
+                handler(event.data);
+            };
+            return {
+                post     : function (message) {
+                    channel.postMessage(message);
+                }
+                , close  : function () {
+                    channel.close();
+                }
+                , check  : uncloneable
+                , format : 'structured-clone'
+            };
+        }
+        if (!storage || !target) {
+            throw Error('BroadcastChannel or localStorage is required');
+        }
+        listener = function (event) {
+            if (event.key === key && event.newValue) {
+                handler(JSON.parse(event.newValue).message);
+            }
+        };
+        target.addEventListener('storage', listener);
+        return {
+            post     : function (message) {
+                // Nonce makes every value different, storage event is only fired on change
+                storage.setItem(key, JSON.stringify({ message : message, nonce : Math.random() }));
+                storage.removeItem(key);
+            }
+            , close  : function () {
+                target.removeEventListener('storage', listener);
+            }
+            , check  : unserializable
+            , format : 'JSON'
+        };
+    }
+
+    /*
+     * Handle message received from another tab
+     *
+     * @param {BroadcastEmitter} emitter BroadcastEmitter instance
+     * @param {Object}           data    Wire format message
+     */
+    function receive (emitter, data) {
+        switch (data.type) {
+            case 'emit':
+                dispatch(emitter, data.sender, [data.event].concat(data.args || []));
+            break;
+            case 'hello':
+                emitter._post({ type : 'heartbeat' });
+                emitter._peers[data.sender] = new Date().getTime();
+                elect(emitter);
+            break;
+            case 'heartbeat':
+                emitter._peers[data.sender] = new Date().getTime();
+                elect(emitter);
+            break;
+            case 'bye':
+                delete emitter._peers[data.sender];
+                elect(emitter);
+            break;
+        }
+    }
+
+    /*
+     * Emit event locally, unless it is a leader event and tab is not leader
+     *
+     * @param {BroadcastEmitter} emitter BroadcastEmitter instance
+     * @param {String}           sender  Id of emitting tab
+     * @param {Array}            args    Event type and arguments
+     *
+     * @return {Boolean} Was event emitted
+     */
+    function dispatch (emitter, sender, args) {
+        if (emitter._leaderEvents.indexOf(args[0]) !== -1 && !emitter.isLeader()) {
+            return false;
+        }
+        var previous   = emitter.sender;
+        emitter.sender = sender;
+        try {
+            return EventEmitter.prototype.emit.apply(emitter, args);
+        } finally {
+            emitter.sender = previous;
+        }
+    }
+
+    /*
+     * Send heartbeat, forget silent tabs and elect leader
+     *
+     * @param {BroadcastEmitter} emitter BroadcastEmitter instance
+     */
+    function tick (emitter) {
+        var expired = new Date().getTime() - emitter._heartbeat * 3;
+        for (var id in emitter._peers) {
+            if (emitter._peers[id] < expired) {
+                delete emitter._peers[id];
+            }
+        }
+        emitter._post({ type : 'heartbeat' });
+        emitter._ready = true;
+        elect(emitter);
+    }
+
+    /*
+     * Elect oldest tab as leader, emit 'leader' when tab becomes leader
+     * Tab does not claim leadership before first heartbeat, to hear from older tabs
+     *
+     * @param {BroadcastEmitter} emitter BroadcastEmitter instance
+     */
+    function elect (emitter) {
+        var leader = emitter.id;
+        for (var id in emitter._peers) {
+            if (id < leader) {
+                leader = id;
+            }
+        }
+        if (leader === emitter.id && !emitter._ready) {
+            return;
+        }
+        var previous   = emitter.leader;
+        emitter.leader = leader;
+        if (leader === emitter.id && previous !== leader) {
+            EventEmitter.prototype.emit.call(emitter, 'leader', leader);
+        }
+    }
+
+    /*** Define BroadcastEmitter prototype methods ***/
+
+    /*
+     * Emit event in every tab, including local one unless disabled
+     * Leader events are only handled by leader tab, even when local delivery is disabled
+     *
+     * @param {String} event  Event type
+     * @param mixed  arg... Optional, argument(s) passed to event listener(s)
+     *
+     * @throw {TypeError} If an argument is not structured-clone safe, or JSON safe with localStorage fallback
+     *
+     * @return {Boolean} Was event emitted locally
+     */
+    BroadcastEmitter.prototype.emit           = function (event /*[, arg1] ... */) {
+        var args = Array.prototype.slice.call(arguments);
+        if (this._transport && this._broadcast(event)) {
+            var path = this._transport.check(args.slice(1), 'arguments', []);
+            if (path) {
+                throw TypeError(path + ' of "' + event + '" event is not ' + this._transport.format + ' safe');
+            }
+            this._post({ type : 'emit', event : event, args : args.slice(1) });
+            if (!this._local && this._leaderEvents.indexOf(event) === -1) {
+                return false;
+            }
+        }
+        return dispatch(this, this.id, args);
+    };
+
+    /*
+     * Is this tab the elected leader
+     *
+     * @return {Boolean} Is leader
+     */
+    BroadcastEmitter.prototype.isLeader       = function () {
+        return this.leader === this.id;
+    };
+
+    /*
+     * Leave channel, other tabs elect a new leader if needed
+     *
+     * @return {BroadcastEmitter} Fluent interface
+     */
+    BroadcastEmitter.prototype.close          = function () {
+        if (this._transport) {
+            this._post({ type : 'bye' });
+            clearInterval(this._timer);
+            this._transport.close();
+            this._transport = null;
+            this.leader     = null;
+        }
+        return this;
+    };
+
+    /*
+     * Post message to other tabs
+     *
+     * @param {Object} message Message, completed with protocol and sender
+     */
+    BroadcastEmitter.prototype._post          = function (message) {
+        message.protocol = PROTOCOL;
+        message.version  = 1;
+        message.sender   = this.id;
+        this._transport.post(message);
+    };
+
+    /*** Expose BroadcastEmitter constructor ***/
+
+    EventEmitter.BroadcastEmitter             = BroadcastEmitter;
 
     /*** Expose EventEmitter object ***/
 
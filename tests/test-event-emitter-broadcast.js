@@ -0,0 +1,150 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+var BroadcastEmitter = EventEmitter.BroadcastEmitter;
+
+var done = [];
+
+// Call fn once condition is met, messages may be delivered asynchronously
+function until(condition, fn) {
+  if (condition()) {
+    return fn();
+  }
+  setTimeout(function() {
+    until(condition, fn);
+  }, 1);
+}
+
+// Fake tabs sharing a localStorage, for storage events fallback
+function createTabs(count) {
+  var windows = [];
+  var values = {};
+  for (var i = 0; i < count; i++) {
+    (function(index) {
+      var listeners = [];
+      windows.push({
+        addEventListener: function(type, listener) {
+          listeners.push(listener);
+        },
+        removeEventListener: function(type, listener) {
+          listeners.splice(listeners.indexOf(listener), 1);
+        },
+        dispatch: function(event) {
+          listeners.slice().forEach(function(listener) {
+            listener(event);
+          });
+        },
+        storage: {
+          setItem: function(key, value) {
+            values[key] = value;
+            windows.forEach(function(other, otherIndex) {
+              if (otherIndex !== index) {
+                other.dispatch({ key: key, newValue: value });
+              }
+            });
+          },
+          removeItem: function(key) {
+            delete values[key];
+          }
+        }
+      });
+    })(i);
+  }
+  return windows;
+}
+
+function run(name, createEmitter, callback) {
+  var a = createEmitter(0, { heartbeat: 20 });
+  // Wait for a to be elected, so it is the oldest tab
+  a.once('leader', function() {
+    test(a, createEmitter(1, { heartbeat: 20, local: false, leaderEvents: ['sync'] }), name, callback);
+  });
+}
+
+function test(a, b, name, callback) {
+  var received = [];
+  var leaders = [];
+  var synced = [];
+
+  a.on('logout', function(user) {
+    received.push(['a', user, this.sender === b.id ? 'b' : 'a']);
+  });
+  b.on('logout', function(user) {
+    received.push(['b', user, this.sender === a.id ? 'a' : 'b']);
+  });
+  b.on('leader', function() {
+    leaders.push('b');
+  });
+
+  assert.strictEqual(a.emit('logout', 'bob'), true);
+  assert.strictEqual(b.emit('logout', 'alice'), false);
+
+  assert.throws(function() {
+    a.emit('logout', function() {});
+  }, TypeError);
+  if (name === 'storage') {
+    // localStorage fallback serializes to JSON, structured-clone only values are not safe
+    assert.throws(function() {
+      a.emit('logout', new Date());
+    }, /arguments\[0\] of "logout" event is not JSON safe/);
+    assert.throws(function() {
+      a.emit('logout', { roles: new Set(), bytes: new Uint8Array(1) });
+    }, /arguments\[0\]\.roles of "logout" event is not JSON safe/);
+    assert.throws(function() {
+      a.emit('logout', [undefined, NaN]);
+    }, /arguments\[0\]\[0\]/);
+  }
+
+  until(function() {
+    return received.length === 3 && b.leader === a.id;
+  }, function() {
+    assert.deepEqual(received.sort(), [
+      ['a', 'alice', 'b'],
+      ['a', 'bob', 'a'],
+      ['b', 'bob', 'a']
+    ]);
+    // Oldest tab is leader
+    assert.strictEqual(a.isLeader(), true);
+    assert.strictEqual(b.isLeader(), false);
+
+    // Leader events are only handled by leader
+    a.on('sync', function() {
+      synced.push('a');
+      assert.deepEqual(synced, ['a']);
+
+      // Leader leaves
+      b.once('leader', function() {
+        assert.strictEqual(b.isLeader(), true);
+        assert.deepEqual(leaders, ['b']);
+        b.emit('sync');
+        assert.deepEqual(synced, ['a', 'b']);
+        b.close();
+        done.push(name);
+        callback();
+      });
+      a.close();
+    });
+    b.on('sync', function() {
+      synced.push('b');
+    });
+    b.emit('sync');
+  });
+}
+
+var expected = ['storage'];
+var tabs = createTabs(2);
+run('storage', function(index, options) {
+  options.storage = tabs[index].storage;
+  options.window = tabs[index];
+  return new BroadcastEmitter('app', options);
+}, function() {
+  if (typeof BroadcastChannel === 'function') {
+    expected.push('channel');
+    run('channel', function(index, options) {
+      return new BroadcastEmitter('app', options);
+    }, function() {});
+  }
+});
+
+process.on('exit', function() {
+  assert.deepEqual(done, expected);
+});
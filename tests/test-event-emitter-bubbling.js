@@ -0,0 +1,139 @@
+var assert = require('assert');
+var util = require('util');
+var events = require('../EventEmitter.js');
+
+function Component(name, parent) {
+  events.EventEmitter.call(this, { parent: parent });
+  this.name = name;
+}
+util.inherits(Component, events.EventEmitter);
+
+var app = new Component('app');
+var panel = new Component('panel', app);
+var button = new Component('button');
+var called = [];
+
+assert.equal(panel.getParent(), app);
+assert.equal(button.getParent(), null);
+assert.equal(button.setParent(panel), button);
+assert.equal(button.getParent(), panel);
+
+function record(event) {
+  called.push(this.name + ':' + event.target.name + ':' + event.currentTarget.name);
+}
+
+button.on('click', record);
+panel.on('click', record);
+app.on('click', record);
+app.on('cl*', function(type, event) {
+  called.push('wildcard:' + type + ':' + event.target.name);
+});
+
+// Bubble up after local listeners, keeping original target
+assert.equal(button.emitCancelable('click', { x: 1 }), false);
+assert.deepEqual(called, [
+  'button:button:button',
+  'panel:button:panel',
+  'app:button:app',
+  'wildcard:click:button'
+]);
+
+// Emitters without listeners still let event bubble
+called = [];
+var label = new Component('label', button);
+label.emitCancelable('click');
+assert.equal(called.length, 4);
+
+// Prevent default from an ancestor
+called = [];
+app.once('close', function(event) {
+  event.preventDefault();
+});
+assert.equal(button.emitCancelable('close'), true);
+assert.equal(button.emitCancelable('close'), false);
+
+// Stop propagation, other listeners of current emitter are still applied
+called = [];
+panel.prependListener('click', function(event) {
+  event.stopPropagation();
+});
+button.emitCancelable('click');
+assert.deepEqual(called, ['button:button:button', 'panel:button:panel']);
+
+// Stop immediate propagation
+called = [];
+button.prependListener('click', function(event) {
+  event.stopImmediatePropagation();
+});
+button.emitCancelable('click');
+assert.deepEqual(called, []);
+
+// Plain emit bubbles with same arguments, even without local listeners
+var root = new Component('root');
+var middle = new Component('middle', root);
+var leaf = new Component('leaf', middle);
+var plain = [];
+root.on('change', function(value, other) {
+  plain.push('root:' + value + ':' + other);
+});
+leaf.on('change', function(value) {
+  plain.push('leaf:' + value);
+});
+assert.equal(leaf.emit('change', 1, 2), true);
+assert.deepEqual(plain, ['leaf:1', 'root:1:2']);
+assert.equal(middle.emit('change', 3), true);
+assert.equal(middle.emit('nobody'), false);
+
+// Internal and 'error' events do not bubble
+plain = [];
+root.on('error', function() {
+  plain.push('error');
+});
+root.on('newListener', function() {
+  plain.push('newListener');
+});
+leaf.on('other', function() {});
+assert.throws(function() {
+  middle.emit('error', new Error('local'));
+}, /local/);
+assert.deepEqual(plain, []);
+
+// emitAsync bubbles once listeners are settled
+var steps = [];
+root.on('save', function() {
+  steps.push('root');
+});
+leaf.on('save', function() {
+  return new Promise(function(resolve) {
+    setTimeout(function() {
+      steps.push('leaf');
+      resolve();
+    }, 5);
+  });
+});
+leaf.emitAsync('save').then(function(emitted) {
+  steps.push(emitted);
+  return middle.emitAsync('nobody');
+}).then(function(emitted) {
+  steps.push(emitted);
+});
+process.on('exit', function() {
+  assert.deepEqual(steps, ['leaf', 'root', true, false]);
+});
+
+// Unset parent
+button.removeAllListeners();
+button.setParent(null);
+called = [];
+button.emitCancelable('click');
+assert.deepEqual(called, []);
+
+assert.throws(function() {
+  app.setParent(panel);
+}, TypeError);
+assert.throws(function() {
+  app.setParent(app);
+}, TypeError);
+assert.throws(function() {
+  app.setParent({});
+}, TypeError);
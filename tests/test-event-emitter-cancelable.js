@@ -0,0 +1,60 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var called = [];
+var received;
+
+// Event object is passed to listeners
+var before = new Date().getTime();
+e.on('beforeClose', function(event) {
+  called.push('first');
+  received = event;
+  assert.equal(event.defaultPrevented, false);
+});
+e.on('beforeClose', function(event) {
+  called.push('second');
+  if (event.detail.unsaved) {
+    event.preventDefault();
+  }
+});
+e.on('before*', function(type, event) {
+  called.push('wildcard');
+  assert.equal(type, 'beforeClose');
+  assert.equal(event, received);
+});
+
+assert.equal(e.emitCancelable('beforeClose', { unsaved: true }), true);
+assert.deepEqual(called, ['first', 'second', 'wildcard']);
+assert.ok(received instanceof events.EmitterEvent);
+assert.equal(received.type, 'beforeClose');
+assert.equal(received.target, e);
+assert.deepEqual(received.detail, { unsaved: true });
+assert.ok(received.timeStamp >= before);
+assert.equal(received.defaultPrevented, true);
+
+called = [];
+assert.equal(e.emitCancelable('beforeClose', { unsaved: false }), false);
+assert.deepEqual(called, ['first', 'second', 'wildcard']);
+
+// No listeners, nothing prevented
+assert.equal(e.emitCancelable('nobody'), false);
+
+// Stop immediate propagation, wildcard listeners included
+called = [];
+e.prependListener('beforeClose', function(event) {
+  called.push('veto');
+  event.preventDefault();
+  event.stopImmediatePropagation();
+});
+assert.equal(e.emitCancelable('beforeClose', {}), true);
+assert.deepEqual(called, ['veto']);
+
+// Plain emit is unchanged
+called = [];
+e.removeAllListeners();
+e.on('beforeClose', function(value) {
+  called.push(value);
+});
+e.emit('beforeClose', 'a');
+assert.deepEqual(called, ['a']);
@@ -0,0 +1,74 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+var results = [];
+var error = new Error('rejected');
+
+function reject() {
+  return Promise.reject(error);
+}
+
+// Per instance, rejection is emitted as 'error'
+var e1 = new EventEmitter({ captureRejections: true });
+results.push(new Promise(function(resolve) {
+  e1.on('error', function(err) {
+    assert.strictEqual(err, error);
+    resolve();
+  });
+}));
+e1.on('save', reject);
+assert.ok(e1.emit('save', 1));
+
+// Rejection symbol handler takes precedence
+var e2 = new EventEmitter({ captureRejections: true });
+assert.strictEqual(EventEmitter.captureRejectionSymbol, Symbol.for('nodejs.rejection'));
+results.push(new Promise(function(resolve) {
+  e2[Symbol.for('nodejs.rejection')] = function(err, event, a, b) {
+    assert.strictEqual(err, error);
+    assert.equal(event, 'save');
+    assert.equal(a, 'a');
+    assert.equal(b, 'b');
+    resolve();
+  };
+}));
+e2.on('error', assert.fail);
+e2.on('save', reject);
+e2.emit('save', 'a', 'b');
+
+// Global default, wildcard listeners too
+EventEmitter.captureRejections = true;
+var e3 = new EventEmitter();
+EventEmitter.captureRejections = false;
+results.push(new Promise(function(resolve) {
+  e3.on('error', function(err) {
+    assert.strictEqual(err, error);
+    resolve();
+  });
+}));
+e3.on('save.*', reject);
+e3.emit('save.done');
+
+// Disabled by default
+var e4 = new EventEmitter();
+var unhandled = 0;
+process.on('unhandledRejection', function(err) {
+  assert.strictEqual(err, error);
+  unhandled++;
+});
+e4.on('error', assert.fail);
+e4.on('save', reject);
+e4.emit('save');
+
+assert.throws(function() {
+  new EventEmitter({ captureRejections: 'yes' });
+}, TypeError);
+
+var done = false;
+Promise.all(results).then(function() {
+  done = true;
+});
+
+process.on('exit', function() {
+  assert(done);
+  assert.equal(unhandled, 1);
+});
@@ -28,32 +28,32 @@ var e = new events.EventEmitter();
 for (var i = 0; i < 10; i++) {
   e.on('default', function() {});
 }
-assert.ok(!e._events['default'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('default').hasOwnProperty('warned'));
 e.on('default', function() {});
-assert.ok(e._events['default'].warned);
+assert.ok(e._events.get('default').warned);
 
 // specific
 e.setMaxListeners(5);
 for (var i = 0; i < 5; i++) {
   e.on('specific', function() {});
 }
-assert.ok(!e._events['specific'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('specific').hasOwnProperty('warned'));
 e.on('specific', function() {});
-assert.ok(e._events['specific'].warned);
+assert.ok(e._events.get('specific').warned);
 
 // only one
 e.setMaxListeners(1);
 e.on('only one', function() {});
-assert.ok(!e._events['only one'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('only one').hasOwnProperty('warned'));
 e.on('only one', function() {});
-assert.ok(e._events['only one'].hasOwnProperty('warned'));
+assert.ok(e._events.get('only one').hasOwnProperty('warned'));
 
 // unlimited
 e.setMaxListeners(0);
 for (var i = 0; i < 1000; i++) {
   e.on('unlimited', function() {});
 }
-assert.ok(!e._events['unlimited'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('unlimited').hasOwnProperty('warned'));
 
 // process-wide
 events.EventEmitter.defaultMaxListeners = 42;
@@ -62,25 +62,25 @@ e = new events.EventEmitter();
 for (var i = 0; i < 42; ++i) {
   e.on('fortytwo', function() {});
 }
-assert.ok(!e._events['fortytwo'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('fortytwo').hasOwnProperty('warned'));
 e.on('fortytwo', function() {});
-assert.ok(e._events['fortytwo'].hasOwnProperty('warned'));
-delete e._events['fortytwo'].warned;
+assert.ok(e._events.get('fortytwo').hasOwnProperty('warned'));
+delete e._events.get('fortytwo').warned;
 
 events.EventEmitter.defaultMaxListeners = 44;
 e.on('fortytwo', function() {});
-assert.ok(!e._events['fortytwo'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('fortytwo').hasOwnProperty('warned'));
 e.on('fortytwo', function() {});
-assert.ok(e._events['fortytwo'].hasOwnProperty('warned'));
+assert.ok(e._events.get('fortytwo').hasOwnProperty('warned'));
 
 // but _maxListeners still has precedence over defaultMaxListeners
 events.EventEmitter.defaultMaxListeners = 42;
 e = new events.EventEmitter();
 e.setMaxListeners(1);
 e.on('uno', function() {});
-assert.ok(!e._events['uno'].hasOwnProperty('warned'));
+assert.ok(!e._events.get('uno').hasOwnProperty('warned'));
 e.on('uno', function() {});
-assert.ok(e._events['uno'].hasOwnProperty('warned'));
+assert.ok(e._events.get('uno').hasOwnProperty('warned'));
 
 // chainable
 assert.strictEqual(e, e.setMaxListeners(1));
\ No newline at end of file
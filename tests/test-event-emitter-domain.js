@@ -0,0 +1,86 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+var Domain = EventEmitter.Domain;
+
+var caught = [];
+
+var d = Domain.create();
+assert(d instanceof EventEmitter);
+assert(EventEmitter.usingDomains);
+d.on('error', function(error) {
+  caught.push(error);
+});
+
+// Emitters created in run are added to domain
+var inside = d.run(function(value) {
+  assert.strictEqual(Domain.active, d);
+  return [new EventEmitter(), value];
+}, 'value');
+assert.strictEqual(Domain.active, null);
+assert.strictEqual(inside[0].domain, d);
+assert.strictEqual(inside[1], 'value');
+var outside = new EventEmitter();
+assert.strictEqual(outside.domain, null);
+
+// Unhandled error events are emitted on domain
+var error1 = new Error('unhandled');
+inside[0].emit('error', error1);
+assert.strictEqual(caught[0], error1);
+assert.strictEqual(error1.domain, d);
+assert.strictEqual(error1.domainEmitter, inside[0]);
+assert.strictEqual(error1.domainThrown, false);
+
+// Errors thrown in run
+var error2 = new Error('thrown');
+d.run(function() {
+  throw error2;
+});
+assert.strictEqual(caught[1], error2);
+assert.strictEqual(error2.domainThrown, true);
+
+// add / remove
+d.add(outside);
+assert.strictEqual(outside.domain, d);
+assert.deepEqual(d.members, [outside]);
+d.remove(outside);
+assert.strictEqual(outside.domain, null);
+assert.deepEqual(d.members, []);
+assert.throws(function() {
+  outside.emit('error', new Error('no domain'));
+}, /no domain/);
+
+// bind
+var error3 = new Error('bound');
+var bound = d.bind(function(a) {
+  assert.strictEqual(Domain.active, d);
+  if (a) throw error3;
+  return 'ok';
+});
+assert.equal(bound(false), 'ok');
+bound(true);
+assert.strictEqual(caught[2], error3);
+assert.strictEqual(error3.domainThrown, true);
+
+// intercept
+var error4 = new Error('intercepted');
+var args;
+var intercepted = d.intercept(function(a, b) {
+  args = [a, b];
+});
+intercepted(null, 1, 2);
+assert.deepEqual(args, [1, 2]);
+intercepted(error4, 3, 4);
+assert.deepEqual(args, [1, 2]);
+assert.strictEqual(caught[3], error4);
+assert.strictEqual(error4.domainThrown, false);
+
+// Nested domains
+var d2 = Domain.create();
+d2.on('error', function() {});
+d.run(function() {
+  d2.run(function() {
+    assert.strictEqual(new EventEmitter().domain, d2);
+  });
+  assert.strictEqual(new EventEmitter().domain, d);
+});
+assert.strictEqual(Domain.active, null);
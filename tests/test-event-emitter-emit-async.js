@@ -0,0 +1,98 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+function delay(ms, value) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms, value);
+  });
+}
+
+var results = [];
+
+// Series by default
+var e1 = new events.EventEmitter();
+var order = [];
+e1.on('save', function(a, b) {
+  assert.equal(a, 'a');
+  assert.equal(b, 'b');
+  return delay(20).then(function() {
+    order.push('slow');
+  });
+});
+e1.on('save', function() {
+  order.push('sync');
+});
+e1.once('save', function() {
+  return delay(1).then(function() {
+    order.push('fast');
+  });
+});
+e1.on('save.*', function(event, a) {
+  order.push(event + ':' + a);
+});
+results.push(e1.emitAsync('save', 'a', 'b').then(function(emitted) {
+  assert.strictEqual(emitted, true);
+  assert.deepEqual(order, ['slow', 'sync', 'fast']);
+  assert.equal(e1.listeners('save').length, 2);
+  return e1.emitAsync('save.done', 'x');
+}).then(function() {
+  assert.deepEqual(order.pop(), 'save.done:x');
+}));
+
+// Parallel when enabled
+var e2 = new events.EventEmitter();
+var parallel = [];
+e2.setParallel(true);
+e2.on('load', function() {
+  return delay(20).then(function() {
+    parallel.push('slow');
+  });
+});
+e2.on('load', function() {
+  return delay(1).then(function() {
+    parallel.push('fast');
+  });
+});
+results.push(e2.emitAsync('load').then(function() {
+  assert.deepEqual(parallel, ['fast', 'slow']);
+}));
+
+// Rejections
+var e3 = new events.EventEmitter();
+var error = new Error('rejected');
+var after = false;
+e3.on('fail', function() {
+  return Promise.reject(error);
+});
+e3.on('fail', function() {
+  after = true;
+});
+results.push(e3.emitAsync('fail').then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+  assert.strictEqual(after, false);
+}));
+
+var e4 = new events.EventEmitter();
+e4.on('throw', function() {
+  throw error;
+});
+results.push(e4.emitAsync('throw').then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+}));
+
+// No listeners
+results.push(e4.emitAsync('nothing').then(function(emitted) {
+  assert.strictEqual(emitted, false);
+}));
+results.push(e4.emitAsync('error', error).then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+}));
+
+var done = false;
+Promise.all(results).then(function() {
+  done = true;
+});
+
+process.on('exit', function() {
+  assert(done);
+});
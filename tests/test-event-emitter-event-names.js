@@ -0,0 +1,67 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+function listener() {}
+
+var e = new events.EventEmitter();
+var symbol = typeof Symbol === 'function' ? Symbol('private') : null;
+var key = {};
+
+assert.deepEqual(e.eventNames(), []);
+
+// Object.prototype names are plain event types
+['__proto__', 'constructor', 'hasOwnProperty'].forEach(function(name) {
+  assert.deepEqual(e.listeners(name), []);
+  assert.equal(e.emit(name), false);
+  e.on(name, listener);
+  assert.deepEqual(e.listeners(name), [listener]);
+});
+assert.deepEqual(e.eventNames(), ['__proto__', 'constructor', 'hasOwnProperty']);
+
+// Object keys
+var received;
+e.on(key, function(value) {
+  received = value;
+});
+assert.ok(e.emit(key, 'object'));
+assert.equal(received, 'object');
+assert.equal(e.listeners({}).length, 0);
+
+// Symbol keys
+if (symbol) {
+  e.on(symbol, function(value) {
+    received = value;
+  });
+  assert.ok(e.emit(symbol, 'symbol'));
+  assert.equal(received, 'symbol');
+  assert.equal(e.eventNames().pop(), symbol);
+  e.removeAllListeners(symbol);
+  assert.equal(e.eventNames().indexOf(symbol), -1);
+}
+
+// Wildcard patterns
+e.on('user.*', listener);
+assert.equal(e.eventNames().pop(), 'user.*');
+
+// Removed listeners
+e.removeListener('constructor', listener);
+assert.deepEqual(e.eventNames(), ['__proto__', 'hasOwnProperty', key, 'user.*']);
+e.removeAllListeners();
+assert.deepEqual(e.eventNames(), []);
+
+// Legacy browsers fallback storage
+var NativeMap = global.Map;
+global.Map = undefined;
+var legacy = new events.EventEmitter();
+global.Map = NativeMap;
+assert(!(legacy._events instanceof NativeMap));
+legacy.on('__proto__', listener);
+legacy.on(key, listener);
+legacy.on('a.*', listener);
+assert.ok(legacy.emit('__proto__'));
+assert.ok(legacy.emit(key));
+assert.ok(legacy.emit('a.b'));
+assert.deepEqual(legacy.eventNames(), ['__proto__', key, 'a.*']);
+legacy.removeAllListeners(key);
+assert.deepEqual(legacy.eventNames(), ['__proto__', 'a.*']);
+assert.equal(legacy._events.size, 1);
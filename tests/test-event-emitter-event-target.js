@@ -0,0 +1,143 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+if (typeof EventTarget === 'function') {
+
+  // EventTarget mirrored into an EventEmitter
+  var target = new EventTarget();
+  var added = [];
+  var removed = [];
+  var addEventListener = target.addEventListener;
+  var removeEventListener = target.removeEventListener;
+  target.addEventListener = function(type) {
+    added.push(type);
+    return addEventListener.apply(this, arguments);
+  };
+  target.removeEventListener = function(type) {
+    removed.push(type);
+    return removeEventListener.apply(this, arguments);
+  };
+
+  var emitter = EventEmitter.fromEventTarget(target);
+  assert(emitter instanceof EventEmitter);
+  assert.deepEqual(added, []);
+
+  var received = [];
+  function onPing(event) {
+    received.push(event.type);
+  }
+  emitter.on('ping', onPing);
+  emitter.once('ping', onPing);
+  assert.deepEqual(added, ['ping']);
+
+  var ping = new Event('ping');
+  target.dispatchEvent(ping);
+  target.dispatchEvent(new Event('ping'));
+  assert.deepEqual(received, ['ping', 'ping', 'ping']);
+
+  // Last listener removal detaches DOM listener
+  emitter.removeListener('ping', onPing);
+  assert.deepEqual(removed, ['ping']);
+  target.dispatchEvent(new Event('ping'));
+  assert.equal(received.length, 3);
+
+  // Reattach, then removeAllListeners detaches
+  emitter.on('ping', onPing);
+  emitter.on('pong', onPing);
+  assert.deepEqual(added, ['ping', 'ping', 'pong']);
+  emitter.removeAllListeners();
+  assert.deepEqual(removed.sort(), ['ping', 'ping', 'pong']);
+
+  // CustomEvent detail
+  if (typeof CustomEvent === 'function') {
+    var detailed = EventEmitter.fromEventTarget(target, { detail: true });
+    var detail;
+    detailed.on('custom', function(value, event) {
+      detail = value;
+      assert.equal(event.type, 'custom');
+    });
+    target.dispatchEvent(new CustomEvent('custom', { detail: { id: 1 } }));
+    assert.deepEqual(detail, { id: 1 });
+  }
+
+  assert.throws(function() {
+    EventEmitter.fromEventTarget({});
+  }, TypeError);
+
+  // EventEmitter exposed as an EventTarget
+  var source = new EventEmitter();
+  var eventTarget = EventEmitter.toEventTarget(source);
+  var events = [];
+  function onData(event) {
+    events.push(event);
+  }
+  var handlerObject = {
+    handleEvent: function(event) {
+      assert.strictEqual(this, handlerObject);
+      events.push('object');
+    }
+  };
+
+  eventTarget.addEventListener('data', onData);
+  eventTarget.addEventListener('data', onData); // duplicate is ignored
+  eventTarget.addEventListener('data', handlerObject);
+  assert.equal(source.listenerCount('data'), 2);
+
+  source.emit('data', 42);
+  assert.equal(events.length, 2);
+  assert.equal(events[0].type, 'data');
+  assert.equal(events[0].detail, 42);
+  assert.equal(events[1], 'object');
+
+  source.emit('data', 1, 2);
+  assert.deepEqual(events[2].detail, [1, 2]);
+
+  // dispatchEvent passes event as is and reports preventDefault
+  events = [];
+  var dispatched = new Event('data', { cancelable: true });
+  assert.strictEqual(eventTarget.dispatchEvent(dispatched), true);
+  assert.strictEqual(events[0], dispatched);
+  eventTarget.addEventListener('cancel', function(event) {
+    event.preventDefault();
+  });
+  assert.strictEqual(eventTarget.dispatchEvent(new Event('cancel', { cancelable: true })), false);
+
+  // Symmetric removal
+  eventTarget.removeEventListener('data', onData);
+  assert.equal(source.listenerCount('data'), 1);
+  source.removeListener('data', function() {});
+  eventTarget.addEventListener('data', onData);
+  source.removeAllListeners('data');
+  assert.equal(source.listenerCount('data'), 0);
+  eventTarget.addEventListener('data', onData);
+  assert.equal(source.listenerCount('data'), 1);
+  source.removeListener('data', onData);
+  assert.equal(source.listenerCount('data'), 0);
+
+  // once
+  var onceCount = 0;
+  eventTarget.addEventListener('tick', function() {
+    onceCount++;
+  }, { once: true });
+  source.emit('tick');
+  source.emit('tick');
+  assert.equal(onceCount, 1);
+  assert.equal(source.listenerCount('tick'), 0);
+
+  // Fired once handlers are forgotten
+  function onTick() {
+    onceCount++;
+  }
+  for (var cycle = 0; cycle < 5; cycle++) {
+    eventTarget.addEventListener('tick', onTick, { once: true });
+    eventTarget.dispatchEvent(new Event('tick'));
+  }
+  assert.equal(onceCount, 6);
+  assert.equal(eventTarget._handlers.has('tick'), false);
+  eventTarget.addEventListener('tick', onTick, { once: true });
+  eventTarget.addEventListener('tick', onTick);
+  assert.equal(source.listenerCount('tick'), 1);
+  eventTarget.removeEventListener('tick', onTick);
+  assert.equal(source.listenerCount('tick'), 0);
+  assert.equal(eventTarget._handlers.has('tick'), false);
+}
@@ -32,25 +32,25 @@ var fl;  // foo listeners
 fl = e.listeners('foo');
 assert(Array.isArray(fl));
 assert(fl.length === 0);
-assert.deepEqual(e._events, {});
+assert.equal(e._events.size, 0);
 
 e.on('foo', assert.fail);
 fl = e.listeners('foo');
-assert(e._events.foo[0] == assert.fail);
+assert(e._events.get('foo')[0] == assert.fail);
 assert(Array.isArray(fl));
 assert(fl.length === 1);
 assert(fl[0] === assert.fail);
 
 e.listeners('bar');
-assert(!e._events.hasOwnProperty('bar'));
+assert(!e._events.has('bar'));
 
 e.on('foo', assert.ok);
 fl = e.listeners('foo');
 
-assert(Array.isArray(e._events.foo));
-assert(e._events.foo.length === 2);
-assert(e._events.foo[0] === assert.fail);
-assert(e._events.foo[1] === assert.ok);
+assert(Array.isArray(e._events.get('foo')));
+assert(e._events.get('foo').length === 2);
+assert(e._events.get('foo')[0] === assert.fail);
+assert(e._events.get('foo')[1] === assert.ok);
 
 assert(Array.isArray(fl));
 assert(fl.length === 2);
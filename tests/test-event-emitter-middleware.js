@@ -0,0 +1,150 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var audit = [];
+var received = [];
+
+e.on('save', function(a, b) {
+  received.push(['save', a, b]);
+});
+e.on('saved', function(a) {
+  received.push(['saved', a]);
+});
+
+// Middleware runs before listeners, in order
+function auditor(event, args, next) {
+  assert.equal(this, e);
+  audit.push(event);
+  next();
+}
+assert.equal(e.use(auditor), e);
+e.use(function(event, args, next) {
+  audit.push(args.length);
+  next();
+});
+assert.equal(e.emit('save', 1, 2), true);
+assert.deepEqual(audit, ['save', 2]);
+assert.deepEqual(received, [['save', 1, 2]]);
+
+// Emit result is false when no listeners
+assert.equal(e.emit('nobody'), false);
+
+// Rewrite arguments and event type
+received = [];
+function sanitize(event, args, next) {
+  next(event, args.map(function(arg) {
+    return typeof arg === 'string' ? arg.trim() : arg;
+  }));
+}
+e.use('save', sanitize);
+e.emit('save', ' a ', 1);
+assert.deepEqual(received, [['save', 'a', 1]]);
+
+received = [];
+function rename(event, args, next) {
+  next('saved');
+}
+e.use('save', rename);
+e.emit('save', ' b ');
+assert.deepEqual(received, [['saved', 'b']]);
+
+// Scoped middleware does not apply to other events
+e.unuse('save', rename);
+received = [];
+e.emit('saved', 'c');
+assert.deepEqual(received, [['saved', 'c']]);
+
+// Swallow events, scoped by wildcard pattern
+var flags = { beta: false };
+e.use('feature.*', function(event, args, next) {
+  if (flags[event.split('.')[1]]) {
+    next();
+  }
+});
+var beta = 0;
+e.on('feature.beta', function() {
+  beta++;
+});
+assert.equal(e.emit('feature.beta'), false);
+flags.beta = true;
+assert.equal(e.emit('feature.beta'), true);
+assert.equal(beta, 1);
+
+// Every emitted event goes through middlewares, including nested and internal ones
+audit = [];
+e.once('chain', function() {
+  e.emit('chained');
+});
+e.emit('chain');
+assert.deepEqual(audit, [
+  'newListener', 2, 'chain', 0, 'removeListener', 2, 'chained', 0
+]);
+
+// Remove middleware
+e.unuse(auditor);
+audit = [];
+e.emit('save');
+assert.deepEqual(audit, [0]);
+
+// next may be called only once
+var twice = new events.EventEmitter();
+twice.use(function(event, args, next) {
+  next();
+  next();
+});
+assert.throws(function() {
+  twice.emit('x');
+}, /next called multiple times/);
+
+assert.throws(function() {
+  new events.EventEmitter().use('x');
+}, TypeError);
+
+var bad = new events.EventEmitter();
+bad.use(function(event, args, next) {
+  next(event, 'not an array');
+});
+assert.throws(function() {
+  bad.emit('x');
+}, TypeError);
+
+// emitAsync goes through middlewares too
+var async = new events.EventEmitter({ emitNewListener: false });
+var results = [];
+var runs = 0;
+async.use(function(event, args, next) {
+  runs++;
+  if (event !== 'drop') {
+    next(event, args.map(function(value) {
+      return value * 10;
+    }));
+  }
+});
+async.use('fail', function() {
+  throw new Error('middleware failed');
+});
+async.on('job', function(value) {
+  results.push(value);
+  return Promise.resolve();
+});
+async.on('drop', function() {
+  results.push('dropped');
+});
+async.emitAsync('job', 1).then(function(emitted) {
+  results.push(emitted);
+  return async.emitAsync('drop');
+}).then(function(emitted) {
+  results.push(emitted);
+  return async.emitAsync('nobody', 1);
+}).then(function(emitted) {
+  results.push(emitted);
+  return async.emitAsync('fail');
+}).catch(function(error) {
+  results.push(error.message);
+});
+
+process.on('exit', function() {
+  assert.deepEqual(results, [10, true, false, false, 'middleware failed']);
+  assert.equal(runs, 4); // Once per emitAsync, even without listeners
+});
@@ -0,0 +1,96 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+function listener() {}
+function listener2() {}
+
+// Disabled by default, dots are part of event type
+var e1 = new events.EventEmitter();
+e1.on('resize.myPlugin', listener);
+assert.deepEqual(e1.listeners('resize.myPlugin'), [listener]);
+assert.deepEqual(e1.listeners('resize'), []);
+
+var e2 = new events.EventEmitter();
+var called = 0;
+var removed = [];
+assert.strictEqual(e2.setNamespaces(true), e2);
+var added = [];
+e2.on('newListener', function(event, fn) {
+  added.push([event, fn]);
+});
+e2.on('resize.myPlugin', listener);
+e2.on('resize.myPlugin.sub', function() {
+  called++;
+});
+e2.once('scroll.myPlugin', listener);
+e2.removeAllListeners('newListener');
+assert.equal(added[0][0], 'resize');
+assert.strictEqual(added[0][1], listener);
+assert.equal(added[2][0], 'scroll');
+assert.strictEqual(added[2][1], listener);
+e2.on('resize.other', listener2);
+e2.on('resize', listener2);
+
+assert.ok(e2.emit('resize'));
+assert.equal(called, 1);
+assert.equal(e2.listeners('resize').length, 4);
+assert.equal(e2.listeners('resize.myPlugin').length, 2);
+assert.equal(e2.listeners('resize.sub').length, 1);
+
+e2.on('removeListener', function(event, fn) {
+  removed.push(event);
+  assert.notStrictEqual(fn, listener2);
+});
+
+// Remove specific listener in namespace only
+e2.removeListener('resize.other', listener);
+assert.equal(e2.listeners('resize').length, 4);
+e2.removeListener('resize.myPlugin', listener);
+assert.equal(e2.listeners('resize').length, 3);
+assert.deepEqual(removed, ['resize']);
+
+// Remove namespace across event types
+removed = [];
+e2.off('.myPlugin');
+assert.deepEqual(removed.sort(), ['resize', 'scroll']);
+assert.equal(e2.listeners('resize').length, 2);
+assert.equal(e2.listeners('resize.other').length, 1);
+assert.deepEqual(e2.listeners('scroll'), []);
+
+// Remove specific listener across event types
+e2.on('scroll.other', listener2);
+e2.removeListener('removeListener', e2.listeners('removeListener')[0]);
+e2.removeListener('.other', listener2);
+assert.deepEqual(e2.listeners('resize'), [listener2]);
+assert.deepEqual(e2.listeners('scroll'), []);
+
+// removeAllListeners with namespace
+e2.on('resize.other', listener);
+e2.removeAllListeners('resize.other');
+assert.deepEqual(e2.listeners('resize'), [listener2]);
+
+// Default setting
+events.EventEmitter.defaultNamespaces = true;
+var e3 = new events.EventEmitter();
+e3.on('click.a', listener);
+assert.deepEqual(e3.listeners('click').length, 1);
+e3.setNamespaces(false);
+assert.deepEqual(e3.listeners('click.a'), []);
+events.EventEmitter.defaultNamespaces = false;
+
+// Wildcard patterns are not split into namespaces
+var e4 = new events.EventEmitter({ namespaces: true, emitNewListener: false });
+var orders = [];
+function onOrder(event) {
+  orders.push(event);
+}
+e4.on('order.*', onOrder);
+e4.on('**.paid', onOrder);
+e4.emit('order.created');
+e4.emit('invoice.paid');
+assert.deepEqual(orders, ['order.created', 'invoice.paid']);
+assert.deepEqual(e4.listeners('order.*'), [onOrder]);
+assert.deepEqual(e4.listeners('order'), []);
+e4.removeListener('order.*', onOrder);
+e4.emit('order.created');
+assert.deepEqual(orders, ['order.created', 'invoice.paid']);
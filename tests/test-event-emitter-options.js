@@ -0,0 +1,68 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+function listener() {}
+
+// emitNewListener / emitRemoveListener
+var e1 = new EventEmitter({ emitNewListener: false, emitRemoveListener: false });
+e1.on('newListener', assert.fail);
+e1.on('removeListener', assert.fail);
+e1.on('foo', listener);
+e1.removeListener('foo', listener);
+assert.deepEqual(e1.listeners('foo'), []);
+
+// Defaults still emit
+var added = 0;
+var e2 = new EventEmitter({});
+e2.on('newListener', function() {
+  added++;
+});
+e2.on('foo', listener);
+assert.equal(added, 1);
+
+// maxListeners
+var e3 = new EventEmitter({ maxListeners: 2 });
+assert.equal(e3.getMaxListeners(), 2);
+assert.throws(function() {
+  new EventEmitter({ maxListeners: -2 });
+}, TypeError);
+
+// captureRejections
+assert.strictEqual(new EventEmitter({ captureRejections: true })._captureRejections, true);
+
+// strictErrors
+var e4 = new EventEmitter({ strictErrors: true });
+assert.throws(function() {
+  e4.emit('error', 'oops');
+}, function(error) {
+  return error instanceof Error && error.message === 'Unhandled error. (oops)' && error.context === 'oops';
+});
+assert.throws(function() {
+  e4.emit('error');
+}, /^Error: Unhandled error\.$/);
+var error = new Error('kept');
+assert.throws(function() {
+  e4.emit('error', error);
+}, function(err) {
+  return err === error;
+});
+assert.throws(function() {
+  new EventEmitter().emit('error', 'raw');
+}, function(err) {
+  return err === 'raw';
+});
+
+// namespaces / parallel
+var e5 = new EventEmitter({ namespaces: true, parallel: true });
+e5.on('click.plugin', listener);
+assert.deepEqual(e5.listeners('click'), [listener]);
+assert.strictEqual(e5._parallel, true);
+
+// init with options in subclasses
+function MyEmitter() {
+  EventEmitter.init.call(this, { emitNewListener: false });
+}
+MyEmitter.prototype = Object.create(EventEmitter.prototype);
+var my = new MyEmitter();
+my.on('newListener', assert.fail);
+my.on('foo', listener);
@@ -0,0 +1,52 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var called = [];
+
+function first() {
+  called.push('first');
+}
+function second() {
+  called.push('second');
+}
+function third() {
+  called.push('third');
+}
+
+e.on('foo', second);
+assert.strictEqual(e.prependListener('foo', first), e);
+e.on('foo', third);
+e.emit('foo');
+assert.deepEqual(called, ['first', 'second', 'third']);
+
+// prependOnceListener
+called = [];
+var added = [];
+e.on('newListener', function(event, listener) {
+  added.push(listener);
+});
+assert.strictEqual(e.prependOnceListener('foo', third), e);
+assert.deepEqual(added, [third]);
+e.emit('foo');
+e.emit('foo');
+assert.deepEqual(called, ['third', 'first', 'second', 'third', 'first', 'second', 'third']);
+
+// Prepended once listeners can be removed with original listener
+function fourth() {
+  called.push('fourth');
+}
+e.prependOnceListener('foo', fourth);
+assert.equal(e.listeners('foo').length, 4);
+e.removeListener('foo', fourth);
+assert.equal(e.listeners('foo').length, 3);
+called = [];
+e.emit('foo');
+assert.deepEqual(called, ['first', 'second', 'third']);
+
+assert.throws(function() {
+  e.prependListener('foo', null);
+}, TypeError);
+assert.throws(function() {
+  e.prependOnceListener('foo', null);
+}, TypeError);
@@ -0,0 +1,73 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var called = [];
+
+function named(name) {
+  return function() {
+    called.push(name);
+  };
+}
+
+var persist = named('persist');
+var validate = named('validate');
+var log = named('log');
+
+e.on('save', persist);
+e.on('save', log, { priority: -10 });
+e.on('save', validate, { priority: 10 });
+e.on('save', named('validate2'), { priority: 10 });
+e.on('save', named('persist2'));
+e.once('save', named('audit'), { priority: 5 });
+e.prependListener('save', named('persist0'));
+e.prependListener('save', named('validate0'), { priority: 10 });
+
+e.emit('save');
+assert.deepEqual(called, [
+  'validate0', 'validate', 'validate2', 'audit', 'persist0', 'persist', 'persist2', 'log'
+]);
+assert.equal(e.listeners('save').length, 7);
+
+// Remove prioritized listener with original function
+e.removeListener('save', validate);
+e.removeListener('save', log);
+called = [];
+e.emit('save');
+assert.deepEqual(called, ['validate0', 'validate2', 'persist0', 'persist', 'persist2']);
+
+assert.throws(function() {
+  e.on('save', persist, { priority: 'high' });
+}, TypeError);
+
+// Exact and wildcard listeners are merged by priority, exact ones first for equal priorities
+var w = new events.EventEmitter({ emitNewListener: false });
+var order = [];
+function wild(name) {
+  return function(event) {
+    order.push(name + ':' + event);
+  };
+}
+w.on('user.saved', function() {
+  order.push('exact:low');
+}, { priority: -10 });
+w.on('user.saved', function() {
+  order.push('exact');
+});
+w.on('*.saved', wild('saved'), { priority: 10 });
+w.on('user.*', wild('user'));
+w.on('user.*', wild('user:high'), { priority: 20 });
+w.on('**', wild('all:low'), { priority: -20 });
+w.emit('user.saved');
+assert.deepEqual(order, [
+  'user:high:user.saved', 'saved:user.saved', 'exact', 'user:user.saved', 'exact:low', 'all:low:user.saved'
+]);
+
+// Same order with emitAsync
+var asyncOrder = [];
+w.emitAsync('user.saved').then(function() {
+  asyncOrder = order.slice(6);
+});
+process.on('exit', function() {
+  assert.deepEqual(asyncOrder, order.slice(0, 6));
+});
@@ -0,0 +1,62 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+function listener() {}
+function listener2() {}
+
+var e = new EventEmitter();
+e.on('foo', listener);
+e.once('foo', listener2);
+e.on('foo', listener2, { priority: -1 });
+
+// listeners unwrap once and priority wrappers
+assert.deepEqual(e.listeners('foo'), [listener, listener2, listener2]);
+
+// rawListeners expose wrappers
+var raw = e.rawListeners('foo');
+assert.equal(raw.length, 3);
+assert.strictEqual(raw[0], listener);
+assert.notStrictEqual(raw[1], listener2);
+assert.strictEqual(raw[1].listener, listener2);
+assert.strictEqual(raw[2].listener, listener2);
+
+// Calling once wrapper removes it
+var called = 0;
+e.once('bar', function() {
+  called++;
+});
+e.rawListeners('bar')[0].call(e);
+e.emit('bar');
+assert.equal(called, 1);
+assert.deepEqual(e.rawListeners('bar'), []);
+
+// listenerCount
+assert.equal(e.listenerCount('foo'), 3);
+assert.equal(e.listenerCount('bar'), 0);
+assert.equal(EventEmitter.listenerCount(e, 'foo'), 3);
+
+// getMaxListeners
+var f = new EventEmitter();
+assert.equal(f.getMaxListeners(), EventEmitter.defaultMaxListeners);
+f.setMaxListeners(3);
+assert.equal(f.getMaxListeners(), 3);
+assert.equal(f.getMaxListeners('noisy'), 3);
+
+// Per event limit
+f.setMaxListeners(0, 'noisy');
+assert.equal(f.getMaxListeners('noisy'), 0);
+assert.equal(f.getMaxListeners(), 3);
+for (var i = 0; i < 20; i++) {
+  f.on('noisy', function() {});
+}
+assert.ok(!f._events.get('noisy').hasOwnProperty('warned'));
+
+f.setMaxListeners(1, 'quiet');
+f.on('quiet', listener);
+assert.ok(!f._events.get('quiet').hasOwnProperty('warned'));
+f.on('quiet', listener);
+assert.ok(f._events.get('quiet').warned);
+
+assert.throws(function() {
+  f.setMaxListeners(-1, 'quiet');
+}, TypeError);
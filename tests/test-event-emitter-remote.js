@@ -0,0 +1,151 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+var MessageChannel = global.MessageChannel;
+try {
+  MessageChannel = MessageChannel || require('worker_threads').MessageChannel;
+} catch (e) {}
+
+if (MessageChannel) {
+  var channel = new MessageChannel();
+  var main = new EventEmitter();
+  var worker = new EventEmitter();
+  var mainConnection = EventEmitter.connect(main, channel.port1);
+  var workerConnection = EventEmitter.connect(worker, channel.port2, {
+    forward: ['pong', 'done'],
+    accept: function(event) {
+      return event !== 'secret';
+    }
+  });
+  var received = [];
+  var disconnected = [];
+
+  // Arguments are cloned through the port
+  var payload = { text: 'parse me', list: [1, 2], when: new Date(0) };
+  worker.on('parse', function(data, id) {
+    received.push(['worker', 'parse', data, id]);
+    assert.notStrictEqual(data, payload);
+    worker.emit('pong', id);
+    worker.emit('local only');
+  });
+  worker.on('secret', assert.fail);
+  main.on('pong', function(id) {
+    received.push(['main', 'pong', id]);
+    main.emit('secret');
+    main.emit('done');
+  });
+  main.on('local only', assert.fail);
+  worker.on('done', function() {
+    // Received events are not sent back
+    assert.deepEqual(received, [
+      ['worker', 'parse', payload, 7],
+      ['main', 'pong', 7]
+    ]);
+    workerConnection.disconnect();
+  });
+
+  mainConnection.on('disconnect', function() {
+    disconnected.push('main');
+    assert.strictEqual(mainConnection.connected, false);
+    assert.equal(main._remotes.length, 0);
+    channel.port1.close();
+  });
+  workerConnection.on('disconnect', function() {
+    disconnected.push('worker');
+    assert.equal(worker._remotes.length, 0);
+    assert.throws(function() {
+      workerConnection.send('pong');
+    }, /disconnected/);
+  });
+
+  // Local behavior is unchanged by connection
+  assert.strictEqual(main.emit('nothing'), false);
+  assert.deepEqual(main.eventNames(), ['pong', 'local only']);
+  assert.equal(main.listenerCount('**'), 0);
+
+  // Unsafe arguments are skipped when forwarding, and reported through connection
+  var errors = [];
+  mainConnection.on('error', function(error) {
+    errors.push(error);
+  });
+  main.emit('parse', { callback: function() {} }); // Does not throw
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0] instanceof TypeError);
+  assert.ok(/arguments\[0\]\.callback of "parse" event is not structured-clone safe/.test(errors[0].message));
+  main.emitCancelable('parse');
+  assert.equal(errors.length, 2);
+  // Explicit send still throws
+  assert.throws(function() {
+    mainConnection.send('parse', [new EventEmitter()]);
+  }, TypeError);
+  assert.equal(received.length, 0);
+
+  // Unhandled 'error' events still throw, and are not forwarded
+  assert.throws(function() {
+    main.emit('error', new Error('boom'));
+  }, /boom/);
+  worker.on('error', assert.fail);
+
+  main.emit('parse', payload, 7);
+
+  process.on('exit', function() {
+    assert.deepEqual(disconnected, ['worker', 'main']);
+  });
+}
+
+// Forwarders survive removeAllListeners and do not count toward max listeners
+function fakePort(sent) {
+  var handlers = {};
+  return {
+    postMessage: function(message) {
+      sent.push(message.event);
+    },
+    addEventListener: function(type, handler) {
+      handlers[type] = handler;
+    },
+    removeEventListener: function(type) {
+      delete handlers[type];
+    },
+    dispatch: function(type, event) {
+      handlers[type](event);
+    }
+  };
+}
+var sent = [];
+var hub = new EventEmitter({ maxListeners: 1 });
+var warned = [];
+EventEmitter.onWarning = function(warning) {
+  warned.push(warning);
+};
+var ports = [fakePort(sent), fakePort(sent), fakePort(sent)];
+var connections = ports.map(function(port) {
+  return EventEmitter.connect(hub, port);
+});
+assert.equal(warned.length, 0);
+EventEmitter.onWarning = null;
+hub.on('ping', function() {});
+hub.removeAllListeners();
+assert.equal(connections[0].connected, true);
+hub.emit('ping', 1);
+assert.deepEqual(sent, ['ping', 'ping', 'ping']);
+
+// Unhandled messageerror is ignored, handled one is emitted on connection
+ports[0].dispatch('messageerror', { data: 'garbled' });
+var messageErrors = [];
+connections[1].on('error', function(error) {
+  messageErrors.push(error);
+});
+ports[1].dispatch('messageerror', { data: 'garbled' });
+assert.equal(messageErrors.length, 1);
+connections.forEach(function(connection) {
+  connection.disconnect();
+});
+hub.emit('ping', 2);
+assert.deepEqual(sent.filter(Boolean), ['ping', 'ping', 'ping']);
+
+assert.throws(function() {
+  EventEmitter.connect({}, { postMessage: function() {} });
+}, TypeError);
+assert.throws(function() {
+  EventEmitter.connect(new EventEmitter(), {});
+}, TypeError);
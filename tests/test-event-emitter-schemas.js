@@ -0,0 +1,143 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var received = [];
+
+e.on('user', function(user) {
+  received.push(user);
+});
+
+// Descriptor of first argument
+assert.equal(e.setSchema('user', {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 },
+    role: { enum: ['admin', 'guest'] },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  additionalProperties: false
+}), e);
+
+assert.equal(e.emit('user', { id: 1, name: 'bob', tags: ['a'] }), true);
+assert.equal(received.length, 1);
+
+function invalid(payload, message) {
+  assert.throws(function() {
+    e.emit('user', payload);
+  }, function(error) {
+    return error.name === 'ValidationError'
+      && error.code === 'ERR_INVALID_EVENT_PAYLOAD'
+      && error.event === 'user'
+      && error.args[0] === payload
+      && error.message === 'Invalid "user" event payload: ' + message;
+  });
+}
+
+invalid('bob', 'args[0] must be object');
+invalid({ id: 1 }, 'args[0].name is required');
+invalid({ id: 1.5, name: 'bob' }, 'args[0].id must be integer');
+invalid({ id: 0, name: 'bob' }, 'args[0].id must be >= 1');
+invalid({ id: 1, name: '' }, 'args[0].name length must be >= 1');
+invalid({ id: 1, name: 'bob', role: 'root' }, 'args[0].role must be one of admin, guest');
+invalid({ id: 1, name: 'bob', tags: ['a', 2] }, 'args[0].tags[1] must be string');
+invalid({ id: 1, name: 'bob', age: 3 }, 'args[0].age is not allowed');
+assert.equal(received.length, 1);
+
+// Descriptors of each argument
+e.setSchema('move', [{ type: 'number' }, { type: ['number', 'undefined'] }]);
+assert.equal(e.emit('move', 1), false);
+assert.equal(e.emit('move', 1, 2), false);
+assert.throws(function() {
+  e.emit('move', 1, '2');
+}, /args\[1\] must be number or undefined/);
+
+// Validator function
+e.setSchema('code', function(code) {
+  assert.equal(this, e);
+  return /^[A-Z]+$/.test(code) || 'code must be uppercase';
+});
+e.emit('code', 'ABC');
+assert.throws(function() {
+  e.emit('code', 'abc');
+}, /Invalid "code" event payload: code must be uppercase/);
+// Validator returning nothing is valid
+e.setSchema('code', function(code) {
+  if (code !== 'ABC') {
+    return 'code must be ABC';
+  }
+});
+e.emit('code', 'ABC');
+assert.throws(function() {
+  e.emit('code', 'abc');
+}, /code must be ABC/);
+e.setSchema('code', function() {
+  return '';
+});
+e.emit('code', 'abc');
+e.setSchema('code', function() {
+  return false;
+});
+assert.throws(function() {
+  e.emit('code', 'ABC');
+}, /payload does not match schema/);
+
+// Emit validation error as 'error' event
+var errors = [];
+e.on('error', function(error) {
+  errors.push(error);
+});
+assert.equal(e.setValidation('emit'), e);
+assert.equal(e.emit('user', {}), false);
+assert.equal(errors.length, 1);
+assert.equal(errors[0].name, 'ValidationError');
+
+// Invalid 'error' payload throws, even in 'emit' mode
+var strict = new events.EventEmitter({ validation: 'emit' });
+strict.setSchema('error', { type: 'string' });
+strict.on('error', function() {});
+assert.throws(function() {
+  strict.emit('error', 42);
+}, function(error) {
+  return error.name === 'ValidationError' && error.event === 'error';
+});
+assert.equal(strict.emit('error', 'ok'), true);
+
+// Disable validation
+e.setValidation(false);
+assert.equal(e.emit('user', 'anything'), true);
+assert.equal(received.length, 2);
+
+events.EventEmitter.defaultValidation = false;
+var production = new events.EventEmitter();
+production.setSchema('x', { type: 'string' });
+production.on('x', function() {});
+assert.equal(production.emit('x', 1), true);
+events.EventEmitter.defaultValidation = 'throw';
+
+// Remove schema
+e.setValidation('throw');
+e.setSchema('user', null);
+assert.equal(e.emit('user', 'anything'), true);
+
+assert.throws(function() {
+  e.setSchema('user', 'string');
+}, TypeError);
+assert.throws(function() {
+  e.setValidation(true);
+}, TypeError);
+
+// emitAsync rejects invalid payload
+var rejected = false;
+var async = new events.EventEmitter({ validation: 'throw' });
+async.setSchema('job', { type: 'string' });
+async.on('job', function() {});
+async.emitAsync('job', 1).catch(function(error) {
+  rejected = error.name === 'ValidationError';
+});
+
+process.on('exit', function() {
+  assert.ok(rejected);
+});
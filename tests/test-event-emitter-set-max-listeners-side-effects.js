@@ -24,6 +24,6 @@ var events = require('../EventEmitter.js');
 
 var e = new events.EventEmitter;
 
-assert.deepEqual(e._events, {});
+assert.equal(e._events.size, 0);
 e.setMaxListeners(5);
-assert.deepEqual(e._events, {});
\ No newline at end of file
+assert.equal(e._events.size, 0);
\ No newline at end of file
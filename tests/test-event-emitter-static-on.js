@@ -0,0 +1,101 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+var results = [];
+
+// Buffer emissions between next() calls
+var e1 = new EventEmitter();
+var iterator = EventEmitter.on(e1, 'data');
+e1.emit('data', 1);
+e1.emit('data', 2, 'two');
+results.push(iterator.next().then(function(result) {
+  assert.deepEqual(result, { value: [1], done: false });
+  return iterator.next();
+}).then(function(result) {
+  assert.deepEqual(result, { value: [2, 'two'], done: false });
+  var next = iterator.next();
+  e1.emit('data', 3);
+  return next;
+}).then(function(result) {
+  assert.deepEqual(result, { value: [3], done: false });
+  var next = iterator.next();
+  iterator.return();
+  return next;
+}).then(function(result) {
+  assert.deepEqual(result, { value: undefined, done: true });
+  assert.equal(e1.listeners('data').length, 0);
+  assert.equal(e1.listeners('error').length, 0);
+}));
+
+// Throw on 'error'
+var e2 = new EventEmitter();
+var error = new Error('kaboom');
+var errorIterator = EventEmitter.on(e2, 'data');
+e2.emit('error', error);
+results.push(errorIterator.next().then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+  assert.equal(e2.listeners('data').length, 0);
+  return errorIterator.next();
+}).then(function(result) {
+  assert.deepEqual(result, { value: undefined, done: true });
+}));
+
+// Abort
+// Sticky event is buffered, 'error' is handled from the start
+var e5 = new EventEmitter();
+e5.setSticky('data');
+e5.emit('data', 'last');
+var sticky = EventEmitter.on(e5, 'data');
+assert.equal(e5.listeners('error').length, 1);
+results.push(sticky.next().then(function(result) {
+  assert.deepEqual(result, { value: ['last'], done: false });
+  return sticky.return();
+}).then(function() {
+  assert.equal(e5.listeners('data').length, 0);
+  assert.equal(e5.listeners('error').length, 0);
+}));
+
+if (typeof AbortController === 'function') {
+  var e3 = new EventEmitter();
+  var controller = new AbortController();
+  var abortIterator = EventEmitter.on(e3, 'data', { signal: controller.signal });
+  results.push(abortIterator.next().then(assert.fail, function(err) {
+    assert.equal(err.name, 'AbortError');
+    assert.equal(e3.listeners('data').length, 0);
+  }));
+  controller.abort();
+}
+
+// for await, when supported
+var forAwait;
+try {
+  forAwait = new Function('EventEmitter', 'emitter', [
+    'return (async function () {',
+    '  var values = [];',
+    '  for await (var args of EventEmitter.on(emitter, "tick")) {',
+    '    values.push(args[0]);',
+    '    if (values.length === 2) break;',
+    '  }',
+    '  return values;',
+    '})();'
+  ].join('\n'));
+} catch (e) {}
+if (forAwait) {
+  var e4 = new EventEmitter();
+  results.push(forAwait(EventEmitter, e4).then(function(values) {
+    assert.deepEqual(values, ['a', 'b']);
+    assert.equal(e4.listeners('tick').length, 0);
+  }));
+  e4.emit('tick', 'a');
+  e4.emit('tick', 'b');
+  e4.emit('tick', 'c');
+}
+
+var done = false;
+Promise.all(results).then(function() {
+  done = true;
+});
+
+process.on('exit', function() {
+  assert(done);
+});
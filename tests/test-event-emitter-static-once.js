@@ -0,0 +1,82 @@
+var assert = require('assert');
+var EventEmitter = require('../EventEmitter.js');
+
+var results = [];
+
+// Resolve with emitted arguments
+var e1 = new EventEmitter();
+results.push(EventEmitter.once(e1, 'ready', {}).then(function(args) {
+  assert.deepEqual(args, [1, 'two']);
+  assert.equal(e1.listeners('ready').length, 0);
+  assert.equal(e1.listeners('error').length, 0);
+}));
+assert.equal(e1.listeners('error').length, 1);
+e1.emit('ready', 1, 'two');
+
+// Reject when 'error' is emitted first
+var e2 = new EventEmitter();
+var error = new Error('kaboom');
+results.push(EventEmitter.once(e2, 'ready').then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+  assert.equal(e2.listeners('ready').length, 0);
+  assert.equal(e2.listeners('error').length, 0);
+}));
+e2.emit('error', error);
+
+// Waiting for 'error' resolves
+var e3 = new EventEmitter();
+results.push(EventEmitter.once(e3, 'error').then(function(args) {
+  assert.deepEqual(args, [error]);
+}));
+e3.emit('error', error);
+
+// Sticky event resolves at once, without leaving listeners behind
+var e5 = new EventEmitter();
+e5.setSticky('ready');
+e5.emit('ready', 42);
+results.push(EventEmitter.once(e5, 'ready').then(function(args) {
+  assert.deepEqual(args, [42]);
+}));
+assert.equal(e5.listeners('ready').length, 0);
+assert.equal(e5.listeners('error').length, 0);
+assert.throws(function() {
+  e5.emit('error', new Error('unhandled'));
+}, /unhandled/);
+
+// Sticky 'error' rejects at once
+var e6 = new EventEmitter();
+e6.setSticky('error');
+e6.on('error', function() {});
+e6.emit('error', error);
+results.push(EventEmitter.once(e6, 'ready').then(assert.fail, function(err) {
+  assert.strictEqual(err, error);
+}));
+assert.equal(e6.listeners('ready').length, 0);
+assert.equal(e6.listeners('error').length, 1);
+
+if (typeof AbortController === 'function') {
+  // Abort while waiting
+  var e4 = new EventEmitter();
+  var controller = new AbortController();
+  results.push(EventEmitter.once(e4, 'ready', { signal: controller.signal }).then(assert.fail, function(err) {
+    assert.equal(err.name, 'AbortError');
+    assert.equal(e4.listeners('ready').length, 0);
+    assert.equal(e4.listeners('error').length, 0);
+  }));
+  controller.abort();
+
+  // Already aborted
+  results.push(EventEmitter.once(e4, 'ready', { signal: controller.signal }).then(assert.fail, function(err) {
+    assert.equal(err.name, 'AbortError');
+    assert.equal(e4.listeners('ready').length, 0);
+  }));
+}
+
+var done = false;
+Promise.all(results).then(function() {
+  done = true;
+});
+
+process.on('exit', function() {
+  assert(done);
+});
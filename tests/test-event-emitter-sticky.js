@@ -0,0 +1,135 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var received = [];
+
+function record(name) {
+  return function() {
+    received.push([name].concat(Array.prototype.slice.call(arguments)));
+  };
+}
+
+// Not sticky: late listeners miss emissions
+e.emit('plain', 1);
+e.on('plain', record('plain'));
+assert.deepEqual(received, []);
+
+// Remember last emission by default
+assert.equal(e.setSticky('config'), e);
+e.emit('config', 'a');
+e.emit('config', 'b', 'c');
+e.on('config', record('late'));
+assert.deepEqual(received, [['late', 'b', 'c']]);
+
+// Replayed listeners still get new emissions
+received = [];
+e.emit('config', 'd');
+e.on('config', record('later'));
+assert.deepEqual(received, [['late', 'd'], ['later', 'd']]);
+
+// Remember last N emissions, in order
+received = [];
+e.setSticky('log', 2);
+e.emit('log', 1);
+e.emit('log', 2);
+e.emit('log', 3);
+e.on('log', record('log'));
+assert.deepEqual(received, [['log', 2], ['log', 3]]);
+
+// Once listeners get only the first replayed emission
+received = [];
+e.once('log', record('once'));
+assert.deepEqual(received, [['once', 2]]);
+assert.equal(e.listenerCount('log'), 1);
+
+// Listener removing itself stops the replay
+received = [];
+e.on('log', function self(value) {
+  received.push(value);
+  e.removeListener('log', self);
+});
+assert.deepEqual(received, [2]);
+
+// Shrinking the buffer keeps last emissions
+received = [];
+e.setSticky('log', 1);
+e.on('log', record('shrink'));
+assert.deepEqual(received, [['shrink', 3]]);
+
+// Wildcard listeners get matching sticky events
+received = [];
+e.setSticky('user.login');
+e.emit('user.login', 'bob');
+e.on('user.*', record('wildcard'));
+assert.deepEqual(received, [['wildcard', 'user.login', 'bob']]);
+
+// Clear buffer of given event type, then all
+received = [];
+e.clearSticky('log');
+e.on('log', record('cleared'));
+e.on('config', record('config'));
+assert.deepEqual(received, [['config', 'd']]);
+received = [];
+e.clearSticky();
+e.on('config', record('cleared'));
+e.on('user.login', record('cleared'));
+assert.deepEqual(received, []);
+
+// Disable sticky event type
+e.setSticky('config', 0);
+e.emit('config', 'e');
+received = [];
+e.on('config', record('disabled'));
+assert.deepEqual(received, []);
+
+assert.throws(function() {
+  e.setSticky('config', -1);
+}, TypeError);
+
+// Latched event is emitted once and stays resolved
+var l = new events.EventEmitter();
+var ready = [];
+assert.equal(l.latch('ready'), l);
+l.on('ready', function(value) {
+  ready.push('early ' + value);
+});
+assert.equal(l.emit('ready', 1), true);
+assert.equal(l.emit('ready', 2), false);
+l.once('ready', function(value) {
+  ready.push('late ' + value);
+});
+assert.deepEqual(ready, ['early 1', 'late 1']);
+
+// Latch may be cleared to emit again
+l.clearSticky('ready');
+assert.equal(l.emit('ready', 3), true);
+assert.deepEqual(ready, ['early 1', 'late 1', 'early 3']);
+
+// emitAsync records emissions and honors latch
+var a = new events.EventEmitter();
+var async = [];
+a.latch('loaded');
+a.setSticky('progress', 2);
+a.on('loaded', function(value) {
+  async.push('early ' + value);
+});
+a.on('progress', function() {});
+a.emitAsync('progress', 1);
+a.emitAsync('progress', 2);
+a.emitAsync('loaded', 1).then(function(emitted) {
+  assert.equal(emitted, true);
+  return a.emitAsync('loaded', 2);
+}).then(function(emitted) {
+  assert.equal(emitted, false);
+  a.on('loaded', function(value) {
+    async.push('late ' + value);
+  });
+  a.on('progress', function(value) {
+    async.push('progress ' + value);
+  });
+});
+
+process.on('exit', function() {
+  assert.deepEqual(async, ['early 1', 'late 1', 'progress 1', 'progress 2']);
+});
@@ -49,6 +49,6 @@ assert.throws(function() {
 
 process.on('exit', function() {
   assert(called);
-  assert.deepEqual(myee._events, {});
+  assert.equal(myee._events.size, 0);
   console.log('ok');
 });
\ No newline at end of file
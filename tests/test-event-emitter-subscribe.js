@@ -0,0 +1,148 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var called = [];
+
+// Anonymous listener removed through its handle
+var subscription = e.subscribe('data', function(value) {
+  called.push('first:' + value);
+});
+assert.ok(subscription instanceof events.Subscription);
+assert.equal(subscription.closed, false);
+assert.equal(subscription.event, 'data');
+e.emit('data', 1);
+assert.equal(subscription.unsubscribe(), subscription);
+assert.equal(subscription.closed, true);
+e.emit('data', 2);
+assert.deepEqual(called, ['first:1']);
+assert.equal(e.listenerCount('data'), 0);
+
+// Unsubscribe only once
+var removed = 0;
+e.on('removeListener', function() {
+  removed++;
+});
+var listener = function() {};
+e.on('twice', listener);
+subscription = e.subscribe('twice', listener);
+subscription.unsubscribe();
+subscription.unsubscribe();
+assert.equal(removed, 1);
+assert.equal(e.listenerCount('twice'), 1);
+
+// Options are passed to addListener
+called = [];
+e.on('ordered', function() {
+  called.push('normal');
+});
+e.subscribe('ordered', function() {
+  called.push('high');
+}, { priority: 1 });
+e.emit('ordered');
+assert.deepEqual(called, ['high', 'normal']);
+
+assert.throws(function() {
+  e.subscribe('data');
+}, TypeError);
+
+// Handle removes its own listener, even if same function is subscribed many times
+called = [];
+function handler(value) {
+  called.push(value);
+}
+var high = e.subscribe('same', handler, { priority: 5 });
+var plain = e.subscribe('same', handler);
+var first = e.subscribe('same', handler);
+high.unsubscribe();
+assert.equal(e.rawListeners('same').length, 2);
+assert.equal(e.rawListeners('same')[0].priority, undefined);
+first.unsubscribe();
+assert.deepEqual(e.rawListeners('same').map(function(stored) {
+  return stored.listener;
+}), [handler]);
+plain.unsubscribe();
+assert.equal(e.listenerCount('same'), 0);
+
+// Namespaced and wildcard subscriptions
+var spaced = new events.EventEmitter({ namespaces: true });
+var ns = spaced.subscribe('resize.plugin', handler);
+spaced.on('resize', handler);
+ns.unsubscribe();
+assert.deepEqual(spaced.rawListeners('resize'), [handler]);
+var wild = e.subscribe('sa*', handler);
+e.on('sa*', handler, { priority: 1 });
+wild.unsubscribe();
+assert.equal(e.rawListeners('sa*')[0].priority, 1);
+
+// Listener removing itself while replayed
+e.setSticky('replayed');
+e.emit('replayed', 1);
+function selfRemoving() {
+  e.removeListener('replayed', selfRemoving);
+}
+var replayed = e.subscribe('replayed', selfRemoving);
+assert.equal(replayed.closed, true);
+assert.equal(e.listenerCount('replayed'), 0);
+
+// Composite subscription
+called = [];
+var composite = new events.CompositeSubscription([
+  e.subscribe('a', function() {
+    called.push('a');
+  })
+]);
+var b = e.subscribe('b', function() {
+  called.push('b');
+});
+assert.equal(composite.add(b), composite);
+composite.add(function() {
+  called.push('teardown');
+});
+var kept = e.subscribe('c', function() {});
+composite.add(kept);
+assert.equal(composite.remove(kept), composite);
+
+e.emit('a');
+e.emit('b');
+assert.equal(composite.unsubscribe(), composite);
+assert.equal(composite.closed, true);
+assert.equal(b.closed, true);
+assert.equal(kept.closed, false);
+e.emit('a');
+e.emit('b');
+assert.deepEqual(called, ['a', 'b', 'teardown']);
+
+// Adding to a closed composite unsubscribes immediately
+var late = e.subscribe('late', function() {});
+composite.add(late);
+assert.equal(late.closed, true);
+
+assert.throws(function() {
+  composite.add({});
+}, TypeError);
+
+// Every handle is unsubscribed even if one throws
+var failing = new events.CompositeSubscription();
+var after = e.subscribe('after', function() {});
+failing.add(after);
+failing.add(function() {
+  throw new Error('teardown failed');
+});
+assert.throws(function() {
+  failing.unsubscribe();
+}, /teardown failed/);
+assert.equal(after.closed, true);
+
+// Disposable
+if (typeof Symbol === 'function' && Symbol.dispose) {
+  var disposable = e.subscribe('dispose', function() {});
+  disposable[Symbol.dispose]();
+  assert.equal(disposable.closed, true);
+  assert.equal(e.listenerCount('dispose'), 0);
+
+  var group = new events.CompositeSubscription([e.subscribe('dispose', function() {})]);
+  group[Symbol.dispose]();
+  assert.equal(group.closed, true);
+  assert.equal(e.listenerCount('dispose'), 0);
+}
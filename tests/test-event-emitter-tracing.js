@@ -0,0 +1,160 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var EventEmitter = events.EventEmitter;
+
+// Disabled by default
+var quiet = new EventEmitter();
+quiet.on('x', function() {});
+quiet.emit('x');
+assert.deepEqual(EventEmitter.timeline.query(), []);
+
+// Per emitter tracing, in global timeline
+// (newListener and removeListener are emitted, thus traced, unless disabled)
+var e = new EventEmitter({ emitNewListener: false, emitRemoveListener: false });
+assert.equal(e.setTracing(true), e);
+function onSave(doc) {
+  e.emit('saved', doc.id);
+}
+e.on('save', onSave);
+e.on('sa*', function() {});
+e.emit('save', { id: 1, title: 'a' }, 'a very long string that should be truncated in preview', [1, 2]);
+e.removeListener('save', onSave);
+
+var records = EventEmitter.timeline.query();
+assert.deepEqual(records.map(function(entry) {
+  return entry.type + ' ' + entry.event;
+}), [
+  'addListener save',
+  'addListener sa*',
+  'emit save',
+  'emit saved',
+  'removeListener save'
+]);
+records.forEach(function(entry, index) {
+  assert.equal(entry.seq, index);
+  assert.equal(typeof entry.time, 'number');
+  assert.ok(/^EventEmitter#\d+$/.test(entry.emitter));
+  assert.equal(entry.emitter, records[0].emitter);
+});
+assert.equal(records[0].listener, 'onSave');
+assert.equal(records[0].listeners, 1);
+
+var emitted = records[2];
+assert.deepEqual(emitted.args, [
+  'Object {id, title}',
+  '"a very long string that should be trunca..."',
+  'Array(2)'
+]);
+assert.equal(emitted.listeners, 2);
+assert.equal(emitted.emitted, true);
+assert.equal(typeof emitted.duration, 'number');
+assert.ok(emitted.duration >= records[3].duration);
+assert.equal(records[3].emitted, true); // 'sa*' matches 'saved'
+assert.equal(records[3].listeners, 1);
+assert.equal(records[4].listeners, 0);
+
+// Query by type, event, emitter or predicate
+assert.equal(EventEmitter.timeline.query({ type: 'emit' }).length, 2);
+assert.equal(EventEmitter.timeline.query({ type: 'emit', event: 'saved' }).length, 1);
+assert.equal(EventEmitter.timeline.query({ emitter: e }).length, 5);
+assert.equal(EventEmitter.timeline.query({ emitter: quiet }).length, 0);
+assert.equal(EventEmitter.timeline.query({ since: records[0].time }).length, 5);
+assert.equal(EventEmitter.timeline.query(function(entry) {
+  return entry.seq > 2;
+}).length, 2);
+
+// Dump as JSON
+assert.deepEqual(JSON.parse(EventEmitter.timeline.dump()), JSON.parse(JSON.stringify(records)));
+assert.deepEqual(JSON.parse(JSON.stringify(EventEmitter.timeline)), JSON.parse(JSON.stringify(records)));
+
+// Errors are recorded
+e.on('fail', function() {
+  throw new Error('boom');
+});
+assert.throws(function() {
+  e.emit('fail');
+}, /boom/);
+assert.equal(EventEmitter.timeline.query({ event: 'fail', type: 'emit' })[0].error, 'boom');
+EventEmitter.timeline.clear();
+assert.deepEqual(EventEmitter.timeline.query(), []);
+
+// Ring buffer in dedicated timeline
+var timeline = new EventEmitter.Timeline(3);
+var ring = new EventEmitter({ tracing: timeline });
+for (var i = 0; i < 5; i++) {
+  ring.emit('tick', i);
+}
+assert.deepEqual(timeline.query().map(function(entry) {
+  return entry.args[0];
+}), ['2', '3', '4']);
+assert.deepEqual(EventEmitter.timeline.query(), []);
+
+// Global switch
+EventEmitter.defaultTracing = true;
+var symbol = typeof Symbol === 'function' ? Symbol('sym') : 'Symbol(sym)';
+quiet.emit(symbol);
+quiet.removeAllListeners();
+EventEmitter.defaultTracing = false;
+quiet.emit('x');
+assert.deepEqual(EventEmitter.timeline.query().map(function(entry) {
+  return entry.type + ' ' + entry.event;
+}), ['emit Symbol(sym)', 'removeAllListeners undefined']);
+
+// Emission is recorded once with middlewares, even when swallowed
+var pipeline = new EventEmitter.Timeline();
+var piped = new EventEmitter({ tracing: pipeline, emitNewListener: false });
+piped.use(function(event, args, next) {
+  if (event !== 'drop') {
+    next();
+  }
+});
+piped.on('kept', function() {});
+piped.emit('kept', 1);
+piped.emit('drop');
+assert.deepEqual(pipeline.query({ type: 'emit' }).map(function(entry) {
+  return entry.event + ' ' + entry.emitted;
+}), ['kept true', 'drop false']);
+
+// emitAsync is recorded once, duration lasting until listeners are settled
+var asyncTimeline = new EventEmitter.Timeline();
+var slow = new EventEmitter({ tracing: asyncTimeline, emitNewListener: false });
+slow.on('job', function() {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, 20);
+  });
+});
+slow.on('fail', function() {
+  return Promise.reject(new Error('rejected'));
+});
+var asyncRecords = null;
+slow.emitAsync('job', 1).then(function() {
+  return slow.emitAsync('none');
+}).then(function() {
+  return slow.emitAsync('fail');
+}).catch(function() {
+  slow.use(function(event, args, next) {
+    next();
+  });
+  return slow.emitAsync('job', 2);
+}).then(function() {
+  asyncRecords = asyncTimeline.query({ type: 'emit' });
+});
+assert.equal(asyncTimeline.query({ type: 'emit' }).length, 1);
+assert.equal(asyncTimeline.query({ type: 'emit' })[0].emitted, undefined);
+process.on('exit', function() {
+  assert.deepEqual(asyncRecords.map(function(entry) {
+    return [entry.event, entry.args, entry.listeners, entry.emitted, entry.error];
+  }), [
+    ['job', ['1'], 1, true, undefined],
+    ['none', [], 0, false, undefined],
+    ['fail', [], 1, undefined, 'rejected'],
+    ['job', ['2'], 1, true, undefined]
+  ]);
+  assert.ok(asyncRecords[0].duration >= 15);
+  assert.equal(typeof asyncRecords[2].duration, 'number');
+});
+
+assert.throws(function() {
+  new EventEmitter.Timeline(0);
+}, TypeError);
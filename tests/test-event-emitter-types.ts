@@ -0,0 +1,87 @@
+// Type level tests, checked by: npm run test-types (tsc --noEmit, lib es5 and dom)
+import EventEmitter = require('../EventEmitter');
+
+interface ButtonEvents {
+  click: [x: number, y: number];
+  close: [];
+}
+
+class Button extends EventEmitter<ButtonEvents> {}
+
+var button = new Button();
+
+// Listeners get typed arguments and emitter as this
+button.on('click', function (x, y) {
+  var sum: number = x + y;
+  var self: Button = this;
+});
+button.once('close', function () {}).removeListener('close', function () {});
+button.emit('click', 1, 2);
+button.emit('close');
+
+// @ts-expect-error bad payload
+button.emit('click', '1', 2);
+// @ts-expect-error missing argument
+button.emit('click', 1);
+// @ts-expect-error unknown event
+button.emit('clack');
+// @ts-expect-error unknown event
+button.on('clack', function () {});
+// @ts-expect-error listener arguments do not match payload
+button.on('click', function (x: string) {});
+// @ts-expect-error bad payload
+button.emitAsync('click', 1, '2');
+// @ts-expect-error listener arguments do not match payload
+button.subscribe('click', function (x: string) {});
+
+// Wildcard, namespaced and internal events
+button.on('cl*', function (event, x) {
+  var type: string = event;
+});
+button.on(/^cl/, function (event) {});
+button.on('click.plugin', function () {});
+button.off('.plugin');
+button.on('newListener', function (event, listener) {});
+
+// Validators return false or a message when invalid, nothing when valid
+button.setSchema('click', function (x, y) {
+  if (x < 0) {
+    return 'x must be positive';
+  }
+});
+button.setSchema('click', function (x, y) {
+  return y >= 0;
+});
+// @ts-expect-error validator arguments do not match payload
+button.setSchema('click', function (x: string) {
+  return true;
+});
+
+// Statics keep event map
+var count: number = EventEmitter.listenerCount(button, 'click');
+EventEmitter.once(button, 'click').then(function (args) {
+  var x: number = args[0];
+});
+// @ts-expect-error unknown event
+EventEmitter.once(button, 'clack');
+
+// Weak listeners applied on owner
+class View {
+  name = 'view';
+  render(x: number, y: number) {
+    return this.name;
+  }
+}
+var view = new View();
+button.addWeakListener('click', View.prototype.render, view);
+button.removeWeakListener('click', View.prototype.render, view);
+
+// Subscriptions are disposable
+var subscription = button.subscribe('click', function (x, y) {});
+new EventEmitter.CompositeSubscription([subscription, function () {}]).unsubscribe();
+subscription[Symbol.dispose]();
+
+// Untyped emitter accepts anything
+var untyped = new EventEmitter();
+untyped.on('anything', function (a: string, b: number) {});
+untyped.emit('anything', 1, 2, 3);
@@ -0,0 +1,57 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var EventEmitter = events.EventEmitter;
+var warnings = [];
+
+function noop() {}
+
+// Global handler
+EventEmitter.onWarning = function(warning) {
+  warnings.push(warning);
+};
+var e = new EventEmitter();
+e.setMaxListeners(1);
+e.on('leak', noop);
+assert.equal(warnings.length, 0);
+e.on('leak', noop);
+e.on('leak', noop);
+assert.equal(warnings.length, 1);
+
+var warning = warnings[0];
+assert.ok(warning instanceof Error);
+assert.equal(warning.name, 'MaxListenersExceededWarning');
+assert.equal(warning.emitter, e);
+assert.equal(warning.type, 'leak');
+assert.equal(warning.count, 2);
+assert.equal(warning.message, 'Possible EventEmitter memory leak detected. 2 leak listeners added to [EventEmitter]. '
+  + 'Use emitter.setMaxListeners() to increase limit');
+assert.ok(/test-event-emitter-warnings\.js/.test(warning.stack));
+
+// 'warning' event when no global handler
+EventEmitter.onWarning = null;
+var emitted = [];
+e.on('warning', function(warning) {
+  emitted.push(warning);
+});
+e.on('other', noop);
+e.on('other', noop);
+assert.equal(emitted.length, 1);
+assert.equal(emitted[0].type, 'other');
+assert.equal(warnings.length, 1);
+
+// process.emitWarning otherwise
+var f = new EventEmitter({ maxListeners: 1 });
+var processed = [];
+process.on('warning', function(warning) {
+  processed.push(warning);
+});
+f.on('node', noop);
+f.on('node', noop);
+
+process.on('exit', function() {
+  assert.equal(processed.length, 1);
+  assert.equal(processed[0].name, 'MaxListenersExceededWarning');
+  assert.equal(processed[0].emitter, f);
+  assert.equal(processed[0].count, 2);
+});
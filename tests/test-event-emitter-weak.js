@@ -0,0 +1,121 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+if (typeof WeakRef !== 'function' || typeof FinalizationRegistry !== 'function') {
+  assert.throws(function() {
+    new events.EventEmitter().addWeakListener('x', function() {}, {});
+  }, TypeError);
+  return;
+}
+
+require('v8').setFlagsFromString('--expose-gc');
+var gc = require('vm').runInNewContext('gc');
+
+var store = new events.EventEmitter();
+var renders = [];
+
+function View(name) {
+  this.name = name;
+}
+View.prototype.render = function(value) {
+  renders.push(this.name + ':' + value);
+};
+
+// Listener applied on owner
+var kept = new View('kept');
+(function() {
+  var dropped = new View('dropped');
+  assert.equal(store.addWeakListener('change', View.prototype.render, dropped), store);
+})();
+store.addWeakListener('change', View.prototype.render, kept);
+store.emit('change', 1);
+assert.deepEqual(renders, ['dropped:1', 'kept:1']);
+assert.deepEqual(store.listeners('change'), [View.prototype.render, View.prototype.render]);
+
+// Weakly held listener, without owner
+var handler = function(value) {
+  renders.push('handler:' + value);
+};
+store.on('change', handler, { weak: true });
+(function() {
+  store.on('change', function(value) {
+    renders.push('anonymous:' + value);
+  }, { weak: true });
+})();
+
+// Removable with original function
+var removed = function() {};
+store.addWeakListener('other', removed);
+store.removeListener('other', removed);
+assert.equal(store.listenerCount('other'), 0);
+
+// Remove listener of given owner only, unregistering its finalization
+var unregistered = [];
+var unregister = store._finalizer.unregister;
+store._finalizer.unregister = function(token) {
+  unregistered.push(token);
+  return unregister.call(this, token);
+};
+var a = new View('a');
+var b = new View('b');
+store.addWeakListener('teardown', View.prototype.render, a);
+store.addWeakListener('teardown', View.prototype.render, b);
+assert.equal(store.removeWeakListener('teardown', View.prototype.render, a), store);
+renders = [];
+store.emit('teardown', 1);
+assert.deepEqual(renders, ['b:1']);
+assert.equal(unregistered.length, 1);
+assert.equal(unregistered[0].ref.deref(), a);
+store.removeWeakListener('teardown', View.prototype.render, a);
+assert.equal(store.listenerCount('teardown'), 1);
+store.removeWeakListener('teardown', View.prototype.render, b);
+assert.equal(store.listenerCount('teardown'), 0);
+assert.equal(unregistered.length, 2);
+
+// Subscription handle removes listener of its own owner only
+var first = store.subscribe('teardown', View.prototype.render, { weak: a });
+store.subscribe('teardown', View.prototype.render, { weak: b });
+first.unsubscribe();
+renders = [];
+store.emit('teardown', 2);
+assert.deepEqual(renders, ['b:2']);
+store.removeWeakListener('teardown', View.prototype.render, b);
+assert.equal(unregistered.length, 4);
+
+// Without owner, listener itself is the target
+var own = function() {};
+store.on('own', own, { weak: true });
+store.removeWeakListener('own', own);
+assert.equal(store.listenerCount('own'), 0);
+store._finalizer.unregister = unregister;
+renders = [];
+
+assert.throws(function() {
+  store.once('change', handler, { weak: true });
+}, TypeError);
+assert.throws(function() {
+  store.addWeakListener('change', handler, 'owner');
+}, TypeError);
+
+// Weak references are cleared after current job
+setTimeout(function() {
+  gc();
+  renders = [];
+  store.emit('change', 2);
+  assert.deepEqual(renders, ['kept:2', 'handler:2']);
+  assert.equal(store.listenerCount('change'), 2);
+
+  // FinalizationRegistry cleans up listeners that are never emitted again
+  (function() {
+    store.addWeakListener('idle', View.prototype.render, new View('idle'));
+  })();
+  assert.equal(store.listenerCount('idle'), 1);
+  setTimeout(function() {
+    gc();
+    setTimeout(function() {
+      assert.equal(store.listenerCount('idle'), 0);
+      assert.equal(kept.name, 'kept');
+      assert.equal(typeof handler, 'function');
+    }, 10);
+  }, 0);
+}, 0);
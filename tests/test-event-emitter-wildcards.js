@@ -0,0 +1,88 @@
+var assert = require('assert');
+var events = require('../EventEmitter.js');
+
+var e = new events.EventEmitter();
+var received = [];
+
+function star(event, a) {
+  received.push(['star', event, a]);
+}
+function globstar(event) {
+  received.push(['globstar', event]);
+}
+function regexp(event, a, b) {
+  received.push(['regexp', event, a, b]);
+}
+
+e.on('order.*', star);
+e.on('**', globstar);
+e.on(/^order\.(created|paid)$/, regexp);
+
+assert.deepEqual(e.listeners('order.*'), [star]);
+assert.deepEqual(e.listeners(/^order\.(created|paid)$/), [regexp]);
+assert.deepEqual(e.listeners('order.created'), []);
+
+// '**' also observes the newListener event
+assert.deepEqual(received, [['globstar', 'newListener']]);
+received = [];
+
+// Wildcard only listeners still report the event as emitted
+assert.ok(e.emit('order.created', 'a', 'b'));
+assert.deepEqual(received, [
+  ['star', 'order.created', 'a'],
+  ['globstar', 'order.created'],
+  ['regexp', 'order.created', 'a', 'b']
+]);
+
+// '*' matches a single segment only
+received = [];
+e.emit('order.item.added');
+assert.deepEqual(received, [['globstar', 'order.item.added']]);
+
+// Exact listeners run first
+e.on('user.login', function(name) {
+  received.push(['exact', name]);
+});
+received = [];
+e.emit('user.login', 'bob');
+assert.deepEqual(received, [['exact', 'bob'], ['globstar', 'user.login']]);
+
+// Remove wildcard listeners
+e.removeListener('**', globstar);
+e.removeListener(/^order\.(created|paid)$/, regexp);
+received = [];
+e.emit('order.paid', 1);
+assert.deepEqual(received, [['star', 'order.paid', 1]]);
+
+// Once on a pattern
+var onceCount = 0;
+e.once('job.*', function(event) {
+  assert.equal(event, 'job.done');
+  onceCount++;
+});
+e.emit('job.done');
+e.emit('job.done');
+assert.equal(onceCount, 1);
+assert.deepEqual(e.listeners('job.*'), []);
+
+// Remove all listeners
+var removed = [];
+var f = new events.EventEmitter();
+f.on('a.*', star);
+f.on(/b/, regexp);
+f.on('removeListener', function(event) {
+  removed.push(String(event));
+});
+f.removeAllListeners();
+assert.deepEqual(removed, ['a.*', '/b/']);
+assert.ok(!f.emit('a.b'));
+
+// Unhandled error is caught by wildcard listeners
+var g = new events.EventEmitter();
+var caught;
+g.on('*', function(event, error) {
+  caught = error;
+});
+var error = new Error('caught');
+g.emit('error', error);
+assert.strictEqual(caught, error);